@@ -11,6 +11,12 @@ const path = require("path");
 
 const StackLizard = require("./stacklizard");
 
+/**
+ * The exit code when the analysis finished, but skipped files it couldn't parse.
+ * (argparse already exits with 2 for bad arguments.)
+ */
+const PARSE_ERRORS_EXIT_CODE = 3;
+
 const argparser = new ArgumentParser({
   version: "0.2.0",
   addHelp: true,
@@ -25,6 +31,24 @@ const subparsers = argparser.addSubparsers({
 
 const subcommandMap = new Map(/* subcommand: execute */);
 
+function lineOrName(x) {
+  return /^\d+$/.test(x) ? parseInt(x, 10) : x;
+}
+
+function ecmaVersion(x) {
+  return (x === "latest") ? x : parseInt(x, 10);
+}
+
+function startFunction(parseDriver, pathToFile, args) {
+  if (typeof args.line !== "string")
+    return parseDriver.functionNodeFromLine(pathToFile, args.line, args.fnIndex);
+
+  // The function may be in a file pathToFile loads, such as a require()'d module.
+  if (!parseDriver.countFunctionsByName(args.line, pathToFile))
+    return parseDriver.functionNodeFromName(args.line);
+  return parseDriver.functionNodeFromName(args.line, pathToFile);
+}
+
 {
   const standalone = subparsers.addParser(
     "standalone",
@@ -47,8 +71,8 @@ const subcommandMap = new Map(/* subcommand: execute */);
     "line",
     {
       action: "store",
-      type: (x) => parseInt(x, 10),
-      help: "The line number of the function.",
+      type: lineOrName,
+      help: "The line number of the function, or its qualified name (foo, A.prototype.e, MyClass#method, MyClass.staticMethod, module:foo).",
     }
   );
 
@@ -62,6 +86,50 @@ const subcommandMap = new Map(/* subcommand: execute */);
     }
   );
 
+  standalone.addArgument(
+    "--sourceType",
+    {
+      action: "store",
+      choices: ["script", "module", "commonjs"],
+      defaultValue: "script",
+      help: "How to parse the file.  \"commonjs\" also loads the files it require()'s.",
+    }
+  );
+
+  standalone.addArgument(
+    "--ecmaVersion",
+    {
+      action: "store",
+      defaultValue: "latest",
+      type: ecmaVersion,
+      help: "The ECMAScript version to parse the files as, such as 2022.  Defaults to the latest.",
+    }
+  );
+
+  standalone.addArgument(
+    "--constructor-factories",
+    {
+      action: "storeTrue",
+      help: "Treat async constructors as static async create() factories, and replace new with the factory.",
+    }
+  );
+
+  standalone.addArgument(
+    "--skip-unparsable",
+    {
+      action: "storeTrue",
+      help: "Skip files which fail to parse, list them in the output, and exit with code 3.",
+    }
+  );
+
+  standalone.addArgument(
+    "--apply",
+    {
+      action: "storeTrue",
+      help: "Rewrite the source files, inserting the async and await keywords.",
+    }
+  );
+
   standalone.addArgument(
     "--save-config",
     {
@@ -80,13 +148,18 @@ const subcommandMap = new Map(/* subcommand: execute */);
 
   subcommandMap.set("standalone", async (args) => {
     const dir = path.dirname(args.path), leaf = path.basename(args.path);
-    const parseDriver = StackLizard.buildDriver("javascript", dir);
+    const parseDriver = StackLizard.buildDriver(
+      "javascript", dir, {
+        sourceType: args.sourceType,
+        ecmaVersion: args.ecmaVersion,
+        constructorFactories: args.constructor_factories,
+        skipUnparsable: args.skip_unparsable,
+      }
+    );
     await parseDriver.appendJSFile(leaf);
     parseDriver.parseSources();
 
-    const startAsync = parseDriver.functionNodeFromLine(
-      leaf, args.line, args.fnIndex
-    );
+    const startAsync = startFunction(parseDriver, leaf, args);
     const asyncRefs = parseDriver.getAsyncStacks(startAsync);
 
     const serializer = StackLizard.getSerializer(
@@ -94,7 +167,9 @@ const subcommandMap = new Map(/* subcommand: execute */);
     );
 
     await maybeSaveOutput(args, serializer);
+    await maybeApplyEdits(args, parseDriver, asyncRefs);
     await maybeSaveConfig(args, parseDriver, serializer, startAsync);
+    warnOnParseErrors(parseDriver);
   });
 }
 
@@ -136,8 +211,8 @@ const subcommandMap = new Map(/* subcommand: execute */);
     "line",
     {
       action: "store",
-      type: (x) => parseInt(x, 10),
-      help: "The line number of the function.",
+      type: lineOrName,
+      help: "The line number of the function, or its qualified name (foo, A.prototype.e, MyClass#method, MyClass.staticMethod, module:foo).",
     }
   );
 
@@ -151,6 +226,40 @@ const subcommandMap = new Map(/* subcommand: execute */);
     }
   );
 
+  htmlDriver.addArgument(
+    "--ecmaVersion",
+    {
+      action: "store",
+      defaultValue: "latest",
+      type: ecmaVersion,
+      help: "The ECMAScript version to parse the files as, such as 2022.  Defaults to the latest.",
+    }
+  );
+
+  htmlDriver.addArgument(
+    "--constructor-factories",
+    {
+      action: "storeTrue",
+      help: "Treat async constructors as static async create() factories, and replace new with the factory.",
+    }
+  );
+
+  htmlDriver.addArgument(
+    "--skip-unparsable",
+    {
+      action: "storeTrue",
+      help: "Skip files which fail to parse, list them in the output, and exit with code 3.",
+    }
+  );
+
+  htmlDriver.addArgument(
+    "--apply",
+    {
+      action: "storeTrue",
+      help: "Rewrite the source files, inserting the async and await keywords.",
+    }
+  );
+
   htmlDriver.addArgument(
     "--save-config",
     {
@@ -168,14 +277,18 @@ const subcommandMap = new Map(/* subcommand: execute */);
   );
 
   subcommandMap.set("html", async (args) => {
-    const parseDriver = StackLizard.buildDriver("html", args.rootDirectory);
+    const parseDriver = StackLizard.buildDriver(
+      "html", args.rootDirectory, {
+        ecmaVersion: args.ecmaVersion,
+        constructorFactories: args.constructor_factories,
+        skipUnparsable: args.skip_unparsable,
+      }
+    );
     await parseDriver.appendSourcesViaHTML(args.pathToHTML);
 
     parseDriver.parseSources();
 
-    const startAsync = parseDriver.functionNodeFromLine(
-      args.pathToJS, args.line, args.fnIndex
-    );
+    const startAsync = startFunction(parseDriver, args.pathToJS, args);
     const asyncRefs = parseDriver.getAsyncStacks(startAsync);
 
     const serializer = StackLizard.getSerializer(
@@ -183,7 +296,9 @@ const subcommandMap = new Map(/* subcommand: execute */);
     );
 
     await maybeSaveOutput(args, serializer);
+    await maybeApplyEdits(args, parseDriver, asyncRefs);
     await maybeSaveConfig(args, parseDriver, serializer, startAsync);
+    warnOnParseErrors(parseDriver);
   });
 }
 
@@ -257,7 +372,7 @@ const subcommandMap = new Map(/* subcommand: execute */);
     console.timeEnd("mozilla");
 
     await maybeSaveConfig(args, parseDriver, serializer, startAsync);
-
+    warnOnParseErrors(parseDriver);
   });
 }
 
@@ -284,19 +399,30 @@ const subcommandMap = new Map(/* subcommand: execute */);
     {
       action: "store",
       type: (data) => {
-        const re = /^(.+):(\d+) (.+)\[(\d+)]/;
-        const [path, lineStr, type, indexStr] = Array.from(re.exec(data)).slice(1);
-        const line = parseInt(lineStr, 10);
-        const index = parseInt(indexStr, 10);
-
-        return {
+        // pathToFile:line:column type, or the older pathToFile:line type[index]
+        const re = /^(.+?):(\d+)(?::(\d+))? (\w+)(?:\[(\d+)])?/;
+        const [path, lineStr, columnStr, type, indexStr] = Array.from(re.exec(data)).slice(1);
+        const rv = {
           path,
-          line,
+          line: parseInt(lineStr, 10),
           type,
-          index
         };
+
+        if (columnStr)
+          rv.column = parseInt(columnStr, 10);
+        else
+          rv.index = parseInt(indexStr || "0", 10);
+        return rv;
       },
-      help: "Add a node as formatted from a previous serialization to the ignore list"
+      help: "Add a node as formatted from a previous serialization (\"pathToFile:line:column type\") to the ignore list"
+    }
+  );
+
+  configuration.addArgument(
+    "--apply",
+    {
+      action: "storeTrue",
+      help: "Rewrite the source files, inserting the async and await keywords.",
     }
   );
 
@@ -339,8 +465,10 @@ const subcommandMap = new Map(/* subcommand: execute */);
       config.serializer.options || {}
     );
     await maybeSaveOutput(args, serializer);
+    await maybeApplyEdits(args, parseDriver, asyncRefs);
 
     await maybeSaveConfig(args, parseDriver, serializer, startAsync);
+    warnOnParseErrors(parseDriver);
   });
 }
 
@@ -355,6 +483,20 @@ async function maybeSaveOutput(args, serializer) {
   await fs.writeFile(pathToConfig, output, { encoding: "utf-8" } );
 }
 
+async function maybeApplyEdits(args, parseDriver, asyncRefs) {
+  if (!args.apply)
+    return;
+  const files = await parseDriver.applyAsyncEdits(asyncRefs);
+  console.warn(`Rewrote ${files.length} file(s):`);
+  files.forEach(file => console.warn(`  ${file}`));
+
+  const fixes = parseDriver.getManualAsyncFixes(asyncRefs);
+  if (!fixes.length)
+    return;
+  console.warn(`Fix ${fixes.length} site(s) by hand:`);
+  fixes.forEach(({file, line, column, reason}) => console.warn(`  ${file}:${line}:${column} ${reason}`));
+}
+
 async function maybeSaveConfig(args, parseDriver, serializer, startAsync) {
   if (!args.save_config)
     return;
@@ -367,6 +509,13 @@ async function maybeSaveConfig(args, parseDriver, serializer, startAsync) {
   await fs.writeFile(pathToConfig, output, { encoding: "utf-8" } );
 }
 
+function warnOnParseErrors(parseDriver) {
+  if (!parseDriver.parseErrors.length)
+    return;
+  console.warn(`Warning: skipped ${parseDriver.parseErrors.length} file(s) which failed to parse.`);
+  process.exitCode = PARSE_ERRORS_EXIT_CODE;
+}
+
 module.exports = {
   execute: async function() {
     const args = argparser.parseArgs();
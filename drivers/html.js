@@ -41,33 +41,22 @@ class HTMLParseDriver extends JSDriver {
 
     if (Array.isArray(config.ignore)) {
       config.ignore.map((ignore, filterIndex) => {
-        const ignorable = this.nodeByLineFilterIndex(
-          ignore.path,
-          ignore.line,
-          ignore.index,
-          ignoreFilters[filterIndex]
-        );
+        const ignorable = this.nodeFromLocation(ignore, ignoreFilters[filterIndex]);
         this.markIgnored(ignorable);
       });
     }
 
     if ("newIgnore" in adjustments) {
-      const ignorable = this.nodeByLineFilterIndex(
-        adjustments.newIgnore.path,
-        adjustments.newIgnore.line,
-        adjustments.newIgnore.index,
-        adjustments.newIgnore.index
+      const ignorable = this.nodeFromLocation(
+        adjustments.newIgnore,
+        n => n.type === adjustments.newIgnore.type
       );
       this.markIgnored(ignorable);
 
       config.ignore.push(adjustments.newIgnore);
     }
 
-    const startAsync = this.functionNodeFromLine(
-      config.markAsync.path,
-      config.markAsync.line,
-      config.markAsync.functionIndex || 0
-    );
+    const startAsync = this.startAsyncFromConfiguration(config.markAsync);
 
     const asyncRefs = this.getAsyncStacks(startAsync);
 
@@ -152,7 +141,9 @@ class HTMLParseDriver extends JSDriver {
 
     scriptExtractor.events.on("inlinescript", (location, contents) => {
       loadScriptCallbacks.push(() => {
-        this.appendSource(this.pathToHTML, location.line, contents)
+        this.appendSource(this.pathToHTML, location.line, contents, {
+          firstColumnInFile: location.column,
+        });
       });
     });
 
@@ -184,12 +175,17 @@ class HTMLParseDriver extends JSDriver {
         this.appendSource(
           `${this.pathToHTML}:${name}`,
           location.line,
-          attrValue
+          attrValue,
+          {
+            joinPrevious: true,
+            firstColumnInFile: location.column,
+          }
         );
         this.appendSource(
           "(event handler)",
           0,
-          "});"
+          "});",
+          { joinPrevious: true }
         );
       });
     });
@@ -11,7 +11,8 @@
  *
  * Generally speaking, for each JavaScript:
  *   - Add the script to the driver's buffer. (appendJSFile or appendSource)
- *   - Parse the buffer and collect metadata about AST nodes. (parseSources)
+ *   - Parse each script and collect metadata about AST nodes. (parseSources)
+ *     Classic scripts share one global scope, modules don't.
  *   - Get an AST node based on the file and line it came from.
  *     (functionNodeFromLine)
  *   - Iterate over all nodes that indirectly impacts to see where
@@ -19,7 +20,9 @@
  *
  * How it works:
  * For each function node that we mark async, we look up reasonable callers of
- * that function.  Each such caller is then marked await.  We then have to look
+ * that function by name, and keep the ones whose callee can resolve to that
+ * function (see utilities/javascript/calleeResolver.js).  Each such caller is
+ * then marked await.  We then have to look
  * for a function node which is an ancestor of that await node and mark that
  * ancestor async.  This means we add it to a set of async nodes to iterate over
  * later.
@@ -31,7 +34,13 @@
  * calling getAsyncStacks().
  *
  * Every JavaScript source you pass to JSDriver must be syntactically correct.
- * Garbage in, garbage out.
+ * Garbage in, garbage out.  With the skipUnparsable option, the JSDriver skips
+ * sources which don't parse and lists them in its parseErrors instead.
+ *
+ * An async function passed inline to forEach(), map() and other synchronous
+ * higher-order methods is a different problem:  awaiting the forEach() call
+ * doesn't wait for the callbacks.  We report those as sync callback hazards,
+ * and don't walk the stack past them.
  *
  * Also, constructors, getters and setters cannot be async.  The JSDriver does
  * not care about this syntax rule, except to call those to the user's
@@ -41,16 +50,35 @@
 
 const espree = require("espree");
 const eslintScope = require('eslint-scope');
-const estraverse = require('estraverse');
 const fs = require("fs").promises;
 const path = require("path");
+const CalleeResolver = require("./utilities/javascript/calleeResolver");
+const ModuleGraph = require("./utilities/javascript/moduleGraph");
+const CommonJSGraph = require("./utilities/javascript/commonJSGraph");
+const QualifiedNames = require("./utilities/javascript/qualifiedNames");
+const ValueFlow = require("./utilities/javascript/valueFlow");
+const ClassHierarchy = require("./utilities/javascript/classHierarchy");
+const IteratorConsumers = require("./utilities/javascript/iteratorConsumers");
+const { getSpecifierCandidates } = require("./utilities/javascript/specifiers");
+const { traverse } = require("./utilities/javascript/traverse");
+const {
+  getSyncCallbackMethods,
+  getSuggestion,
+} = require("./utilities/javascript/syncCallbacks");
+const { getValueUsage, getUsageLabel } = require("./utilities/javascript/valueUsage");
+const { getAwaitRisks } = require("./utilities/javascript/awaitRisks");
+const {
+  getAsyncEdits,
+  getManualFixes,
+  getSourceFile,
+  applyEdits,
+} = require("./utilities/javascript/asyncEdits");
 
 /**
  * @private
  */
 const sourceOptions = {
   loc: true,
-  ecmaVersion: 2020,
   range: true,
 };
 
@@ -89,10 +117,38 @@ MultiplexListeners.prototype.clear = function() {
 
 // helper functions
 
+// Methods which consume the promise they're called on.
+const promiseChainMethods = ["then", "catch", "finally"];
+
+// Promise.all(), Promise.allSettled(), Promise.any(), Promise.race()
+function isPromiseCombinator(callee) {
+  return (callee.type === "MemberExpression") &&
+         !callee.computed &&
+         (callee.object.type === "Identifier") &&
+         (callee.object.name === "Promise") &&
+         ["all", "allSettled", "any", "race"].includes(callee.property.name);
+}
+
 function isFunctionNode(node) {
   return node.type.includes("Function");
 }
 
+function isClassNode(node) {
+  return (node.type === "ClassDeclaration") || (node.type === "ClassExpression");
+}
+
+/**
+ * Class fields and static blocks run code outside any function, but callers
+ * there need an async function all the same.
+ *
+ * @private
+ */
+function isFunctionBoundary(node) {
+  return isFunctionNode(node) ||
+         (node.type === "StaticBlock") ||
+         (node.type === "PropertyDefinition");
+}
+
 // A.prototype = { b: function() { ... } };
 function isPrototypeMember(node) {
   return node.type === "MemberExpression" &&
@@ -100,6 +156,36 @@ function isPrototypeMember(node) {
          node.property.name === "prototype";
 }
 
+/**
+ * Join separately parsed scripts into one program, so they share a global scope.
+ * @param {Program[]} programs The ASTs of the scripts.
+ *
+ * @private
+ * @returns {Program} The joined AST.  It doesn't belong to any one file, so it
+ *                    has no file or line.
+ */
+function joinPrograms(programs) {
+  return {
+    type: "Program",
+    sourceType: "script",
+    body: [].concat(...programs.map(program => program.body)),
+  };
+}
+
+// The global scope, or a module's scope.
+function isTopLevelScope(scope) {
+  return scope.block.type === "Program";
+}
+
+async function isFile(fullPath) {
+  try {
+    return (await fs.stat(fullPath)).isFile();
+  }
+  catch (ex) {
+    return false;
+  }
+}
+
 // this.foo;
 function isMemberThis(node) {
   return (node.type === "MemberExpression") &&
@@ -126,7 +212,22 @@ function isPrototypeAssignMethod(node) {
  * The JavaScript driver.
  * @param {string} rootDir A root directory for all processing.
  * @param {Object} options Configuration options:
- *   (none defined yet)
+ *   sourceType: "module" to parse each source as an ECMAScript module,
+ *               following imports and exports between them.
+ *               "commonjs" to parse each source as a CommonJS module,
+ *               following require() calls and module.exports, and to load
+ *               the files relative require() calls name.
+ *               Otherwise we parse the sources together as one script.
+ *   skipUnparsable: true to skip sources which fail to parse, instead of
+ *                   throwing.  We record them in the driver's parseErrors.
+ *   syncCallbackMethods: names of synchronous higher-order methods to treat
+ *                        like forEach(), in addition to the built-in ones.
+ *   ecmaVersion: the ECMAScript version to parse the sources as, such as
+ *                2022.  Defaults to "latest", the newest version espree
+ *                supports.
+ *   constructorFactories: true to treat an async constructor as a static
+ *                         async create() factory, and each new expression
+ *                         of its class as a call to await.
  *
  * @constructor
  */
@@ -161,9 +262,12 @@ function JSDriver(rootDir, options = {}) {
    */
   this.lineMapping = [/*
     {
+      startSourceLine: integer,
       endSourceLine: integer,
       pathToFile,
-      firstLineInFile
+      firstLineInFile,
+      firstColumnInFile: integer, the column the source starts at, from 1
+      parseUnit: integer, the index of the piece of code we parse this with
     }
   */];
 
@@ -183,6 +287,14 @@ function JSDriver(rootDir, options = {}) {
     node: scope
   */);
 
+  /**
+   * A mapping of identifiers to their eslint-scope references.
+   * @private
+   */
+  this.identifierToReference = new WeakMap(/*
+    Identifier node: Reference
+  */);
+
   /**
    * Function calls by name.
    * @private
@@ -199,6 +311,21 @@ function JSDriver(rootDir, options = {}) {
     name: node
   */);
 
+  /**
+   * Identifiers and member expressions passed as arguments, or assigned to
+   * variables, by name.
+   * @private
+   */
+  this.valueReferencesByName = new Map(/*
+    name: node
+  */);
+
+  /**
+   * All the function nodes, in source order.
+   * @private
+   */
+  this.functionNodes = [];
+
   /**
    * Nodes which represent getters or setters.
    * @private
@@ -266,6 +393,86 @@ function JSDriver(rootDir, options = {}) {
    */
   this.ignoredNodes = new Set();
 
+  /**
+   * Nodes which match an async node's name, but whose callee we couldn't
+   * resolve to that async node.  We report these instead of marking them await.
+   *
+   * @private
+   */
+  this.unresolvedNodes = new Set();
+
+  /**
+   * Async callbacks passed to synchronous higher-order methods like forEach().
+   * @private
+   */
+  this.syncCallbackMethods = getSyncCallbackMethods(options.syncCallbackMethods);
+
+  /**
+   * @private
+   */
+  this.syncCallbackHazards = new Map(/*
+    callback node: {
+      callNode: the call passing the callback,
+      methodName: string,
+      suggestion: string, how to rewrite the call
+    }
+  */);
+
+  /**
+   * Sources we couldn't parse, and skipped.  (options.skipUnparsable)
+   * @private
+   */
+  this.parseErrors = [/*
+    {
+      file: pathToFile,
+      line: integer,
+      column: integer, starting at 1
+      message: string
+    }
+  */];
+
+  /**
+   * Decides which candidate await nodes can actually reach an async node.
+   * @private
+   */
+  this.calleeResolver = new CalleeResolver(this);
+
+  /**
+   * The import/export bindings between modules, when we parse sources as modules.
+   * @private
+   */
+  this.moduleGraph = new ModuleGraph(this);
+
+  /**
+   * The require() calls and exports between modules, when we parse sources as CommonJS.
+   * @private
+   */
+  this.commonJSGraph = new CommonJSGraph(this);
+
+  /**
+   * Finds functions by qualified name.
+   * @private
+   */
+  this.qualifiedNames = new QualifiedNames(this);
+
+  /**
+   * Follows functions passed as values into parameters and variables.
+   * @private
+   */
+  this.valueFlow = new ValueFlow(this);
+
+  /**
+   * Which classes and prototypes inherit from which.
+   * @private
+   */
+  this.classHierarchy = new ClassHierarchy(this);
+
+  /**
+   * The code iterating over what generators and iterator methods return.
+   * @private
+   */
+  this.iteratorConsumers = new IteratorConsumers(this);
+
   /**
    * Nodes which are already enclosed in an AwaitExpression:  await this.a();
    * @private
@@ -305,13 +512,13 @@ JSDriver.prototype = {
       );
     }
 
-    await Promise.all(config.scripts.map(
-      script => this.appendJSFile(script)
-    ));
+    // One at a time, so the sources are in the same order every time.
+    for (const script of config.scripts)
+      await this.appendJSFile(script);
 
     if (Array.isArray(config.debugByLine)) {
       config.debugByLine.forEach(entry => {
-        this.debugByLine(entry.path, entry.line);
+        this.debugByLine(entry.path, entry.line, entry.column || null);
       });
     }
 
@@ -319,23 +526,14 @@ JSDriver.prototype = {
 
     if (Array.isArray(config.ignore)) {
       config.ignore.map((ignore, filterIndex) => {
-        if (!("index" in ignore))
-          ignore.index = 0;
-        const ignorable = this.nodeByLineFilterIndex(
-          ignore.path,
-          ignore.line,
-          ignore.index,
-          ignoreFilters[filterIndex]
-        );
+        const ignorable = this.nodeFromLocation(ignore, ignoreFilters[filterIndex]);
         this.markIgnored(ignorable);
       });
     }
 
     if ("newIgnore" in adjustments) {
-      const ignorable = this.nodeByLineFilterIndex(
-        adjustments.newIgnore.path,
-        adjustments.newIgnore.line,
-        adjustments.newIgnore.index,
+      const ignorable = this.nodeFromLocation(
+        adjustments.newIgnore,
         n => n.type === adjustments.newIgnore.type
       );
       this.markIgnored(ignorable);
@@ -343,11 +541,7 @@ JSDriver.prototype = {
       config.ignore.push(adjustments.newIgnore);
     }
 
-    const startAsync = this.functionNodeFromLine(
-      config.markAsync.path,
-      config.markAsync.line,
-      config.markAsync.functionIndex || 0
-    );
+    const startAsync = this.startAsyncFromConfiguration(config.markAsync);
 
     const asyncRefs = this.getAsyncStacks(startAsync);
 
@@ -359,7 +553,7 @@ JSDriver.prototype = {
   /**
    * Get a JSON-serializable configuration object.
    *
-   * @param {Node} startAsync The starting async node.
+   * @param {Node|Node[]} startAsync The starting async node or nodes.
    *
    * @public
    * @returns {Object}
@@ -368,19 +562,10 @@ JSDriver.prototype = {
     if (this.cachedConfiguration)
       return this.cachedConfiguration;
 
-    let functionIndex = 0;
-    {
-      const key = this.fileAndLine(startAsync);
-      let nodeList = this.nodesByLine.get(key);
-      nodeList = nodeList.filter(isFunctionNode);
-      functionIndex = nodeList.indexOf(startAsync);
-    }
-
     return {
       type: "javascript",
 
-      options: {
-      },
+      options: this.options,
 
       root: this.rootDir,
 
@@ -390,16 +575,14 @@ JSDriver.prototype = {
         return {
           path: ignore.file,
           line: ignore.line,
+          column: ignore.column,
           type: ignore.type,
-          index: this.indexOfNodeOnLine(ignore),
         };
       })),
 
-      markAsync: {
-        path: startAsync.file,
-        line: startAsync.line,
-        functionIndex,
-      },
+      markAsync: Array.isArray(startAsync) ?
+                 startAsync.map(node => this.getMarkAsyncConfiguration(node)) :
+                 this.getMarkAsyncConfiguration(startAsync),
     };
   },
 
@@ -417,6 +600,46 @@ JSDriver.prototype = {
     const source = await fs.readFile(fullPath, { encoding: "UTF-8" } );
     this.appendSource(pathToFile, 1, source);
     this.sources.add(pathToFile);
+
+    if (this.isCommonJSMode())
+      await this.appendRequiredFiles(pathToFile, source);
+  },
+
+  /**
+   * Read the JS files a CommonJS module require()'s with relative specifiers.
+   * @param {string} pathToFile The relative path to the requiring module.
+   * @param {string} source     The requiring module's source code.
+   *
+   * @private
+   */
+  appendRequiredFiles: async function(pathToFile, source) {
+    let ast;
+    try {
+      ast = espree.parse(source, this.getParseOptions());
+    }
+    catch (ex) {
+      // parseSources() reports this.
+      if (this.options.skipUnparsable)
+        return;
+      throw ex;
+    }
+    const specifiers = CommonJSGraph.findRequireSpecifiers(ast);
+    for (const specifier of specifiers) {
+      const candidates = getSpecifierCandidates(
+        pathToFile, specifier, CommonJSGraph.specifierSuffixes
+      );
+
+      // We don't leave the root directory.
+      if (candidates.length && candidates[0].startsWith("../"))
+        continue;
+
+      for (const candidate of candidates) {
+        if (await isFile(path.resolve(this.rootDir, candidate))) {
+          await this.appendJSFile(candidate);
+          break;
+        }
+      }
+    }
   },
 
   /**
@@ -424,11 +647,20 @@ JSDriver.prototype = {
    * @param {string} pathToFile      The relative path to the file.
    * @param {number} firstLineInFile The line number the source starts at in the file.
    * @param {string} source          The source code to insert.
+   * @param {Object} options
+   *   joinPrevious:      True to parse this source together with the previous
+   *                      one, as one piece of code.
+   *   firstColumnInFile: The column the source starts at in the file, from 1.
+   *                      Only the source's first line starts there.
    *
    * @public
+   *
+   * @note Each source is otherwise parsed on its own, so a syntax error or a
+   * top-level declaration in one source doesn't affect the others.
    */
-  appendSource: function(pathToFile, firstLineInFile, source) {
-    if (!/\.m?jsm?$/.test(pathToFile) &&
+  appendSource: function(pathToFile, firstLineInFile, source, options = {}) {
+    const { joinPrevious = false, firstColumnInFile = 1 } = options;
+    if (!/\.[mc]?jsm?$/.test(pathToFile) &&
         !/\.x?html?(:on\w+)?$/.test(pathToFile) &&
         !pathToFile.startsWith("("))
       throw new Error("source file is not JavaScript: " + pathToFile);
@@ -437,11 +669,20 @@ JSDriver.prototype = {
     const addedLines = source.split("\n");
     Array.prototype.push.apply(this.parsingBuffer, addedLines);
 
+    let parseUnit = 0;
+    if (this.lineMapping.length) {
+      parseUnit = this.lineMapping[this.lineMapping.length - 1].parseUnit;
+      if (!joinPrevious)
+        parseUnit++;
+    }
+
     this.lineMapping.push({
       startSourceLine,
       pathToFile,
       firstLineInFile,
-      endSourceLine: startSourceLine + addedLines.length
+      firstColumnInFile,
+      endSourceLine: startSourceLine + addedLines.length,
+      parseUnit,
     });
   },
 
@@ -469,9 +710,9 @@ JSDriver.prototype = {
    * No recursive descent into callers for purposes of await/async marking will happen.
    *
    * @note StackLizard will have bugs.  One example is matching a node that it shouldn't.
-   * See fixtures/object-define-name-mismatch/fixture.js where it calls B.b().  As I
-   * write this, StackLizard will normally pick that up and mark it await.  This method
-   * is to override StackLizard and tell it to ignore a node.
+   * See fixtures/object-define-name-mismatch/fixture.js where it calls B.b().  StackLizard
+   * can't resolve B, so it would report that call as unresolved.  This method is to
+   * override StackLizard and tell it to ignore a node.
    *
    * @param {Node} node The node to mark ignored.
    *
@@ -486,21 +727,195 @@ JSDriver.prototype = {
    * @public
    */
   parseSources: function() {
-    const ast = espree.parse(this.parsingBuffer.join("\n"), sourceOptions);
+    const programs = this.getParseUnits().map(unit => this.parseUnit(unit)).filter(Boolean);
     this.parsingBuffer = [];
+
+    if (this.sharesGlobalScope())
+      this.analyzeProgram(joinPrograms(programs));
+    else
+      programs.forEach(ast => this.analyzeProgram(ast));
+  },
+
+  /**
+   * Report whether we parse each source as an ECMAScript module.
+   *
+   * @public
+   * @returns {boolean}
+   */
+  isModuleMode: function() {
+    return this.options.sourceType === "module";
+  },
+
+  /**
+   * Report whether we parse each source as a CommonJS module.
+   *
+   * @public
+   * @returns {boolean}
+   */
+  isCommonJSMode: function() {
+    return this.options.sourceType === "commonjs";
+  },
+
+  /**
+   * Report whether our sources share one global scope, as classic scripts do.
+   * Modules each have their own scope.
+   *
+   * @protected
+   * @returns {boolean}
+   */
+  sharesGlobalScope: function() {
+    return !this.isModuleMode() && !this.isCommonJSMode();
+  },
+
+  /**
+   * Get the espree options for parsing one of our sources.
+   *
+   * @private
+   * @returns {Object}
+   */
+  getParseOptions: function() {
+    const rv = Object.assign({
+      sourceType: this.isModuleMode() ? "module" : "script",
+      ecmaVersion: this.getEcmaVersion(),
+    }, sourceOptions);
+
+    // CommonJS modules may return from the top level.
+    if (this.isCommonJSMode())
+      rv.ecmaFeatures = { globalReturn: true };
+    return rv;
+  },
+
+  /**
+   * The ECMAScript version we parse the sources as.
+   *
+   * @private
+   * @returns {number} The version, as espree and eslint-scope expect it.
+   */
+  getEcmaVersion: function() {
+    const version = this.options.ecmaVersion || "latest";
+    // eslint-scope doesn't understand "latest".
+    return (version === "latest") ? espree.latestEcmaVersion : version;
+  },
+
+  /**
+   * Split our buffer into the pieces of code we parse independently.
+   *
+   * @private
+   * @returns {Object[]} The units, each with its source and line mappings.
+   */
+  getParseUnits: function() {
+    const units = [];
+    this.lineMapping.forEach(mapping => {
+      if (!units[mapping.parseUnit]) {
+        units[mapping.parseUnit] = {
+          source: [],
+          lineMapping: [],
+        };
+      }
+      const unit = units[mapping.parseUnit];
+
+      // Each unit has its own line numbers.
+      const lines = this.parsingBuffer.slice(
+        mapping.startSourceLine - 1, mapping.endSourceLine - 1
+      );
+      const startSourceLine = unit.source.length + 1;
+      Array.prototype.push.apply(unit.source, lines);
+
+      unit.lineMapping.push({
+        startSourceLine,
+        pathToFile: mapping.pathToFile,
+        firstLineInFile: mapping.firstLineInFile,
+        firstColumnInFile: mapping.firstColumnInFile,
+        endSourceLine: startSourceLine + lines.length,
+        parseUnit: mapping.parseUnit,
+      });
+    });
+
+    units.forEach(unit => unit.source = unit.source.join("\n"));
+    return units;
+  },
+
+  /**
+   * Parse one piece of source code, and map its nodes to their files and lines.
+   * @param {Object} unit The source and its line mappings, from getParseUnits().
+   *
+   * @private
+   * @returns {Program?} The AST, or null if we skipped the source.
+   */
+  parseUnit: function({source, lineMapping}) {
+    let ast;
+    try {
+      ast = espree.parse(source, this.getParseOptions());
+    }
+    catch (ex) {
+      if (!this.options.skipUnparsable || !("lineNumber" in ex))
+        throw ex;
+      this.addParseError(ex, lineMapping);
+      return null;
+    }
+
+    traverse(ast, this.lineMappingListener(lineMapping));
+    return ast;
+  },
+
+  /**
+   * Record a syntax error in a source we're skipping.
+   * @param {Error}    ex          The error from espree.
+   * @param {Object[]} lineMapping The line mappings of the source.
+   *
+   * @private
+   */
+  addParseError: function(ex, lineMapping) {
+    const mapping = lineMapping.find(m => ex.lineNumber < m.endSourceLine) ||
+                    lineMapping[lineMapping.length - 1];
+    let column = ex.column;
+    if (ex.lineNumber === mapping.startSourceLine)
+      column += mapping.firstColumnInFile - 1;
+
+    this.parseErrors.push({
+      file: mapping.pathToFile,
+      line: ex.lineNumber - mapping.startSourceLine + mapping.firstLineInFile,
+      column,
+      message: ex.message,
+    });
+  },
+
+  /**
+   * Gather the metadata for a program.
+   * @param {Program} ast The program, from parseUnit() or joinPrograms().
+   *
+   * @private
+   */
+  analyzeProgram: function(ast) {
+    const sourceType = ast.sourceType;
     const listeners = new MultiplexListeners();
 
-    // First pass, build up references to files, line numbers, and JS scopes.
+    // First pass, build up references to JS scopes.
     // Prototype lookups may need this to complete before they run.
     {
-      const scopeManager = eslintScope.analyze(ast, {ecmaVersion: 2020});
-      listeners.append(this.lineMappingListener());
+      const scopeManager = eslintScope.analyze(ast, {
+        ecmaVersion: this.getEcmaVersion(),
+        sourceType,
+        nodejsScope: this.isCommonJSMode(),
+      });
+      scopeManager.scopes.forEach(scope => {
+        scope.references.forEach(ref => {
+          this.identifierToReference.set(ref.identifier, ref);
+        });
+      });
+      if (sourceType === "module")
+        this.moduleGraph.addModule(ast.file, ast, scopeManager);
+
       listeners.append(this.currentScopeListener(ast, scopeManager));
       listeners.append({
         enter: (node, parent) => this.nodeToParent.set(node, parent)
       });
-      estraverse.traverse(ast, listeners);
+      traverse(ast, listeners);
       listeners.clear();
+
+      // This looks up variables, so it needs the first pass.
+      if (this.isCommonJSMode())
+        this.commonJSGraph.addModule(ast.file, ast);
     }
 
     // Second pass, gather our data.
@@ -523,6 +938,12 @@ JSDriver.prototype = {
           }
         }
 
+        else if (node.type === "PropertyDefinition") {
+          // class A { b = () => {}; }
+          if (node.value)
+            this.valueNodeToKeyNode.set(node.value, node.key);
+        }
+
         else if (node.type === "MethodDefinition") {
           if (node.kind === "constructor") {
             this.constructorFunctions.add(node.value);
@@ -549,6 +970,9 @@ JSDriver.prototype = {
         {
           this.referencesByNameRecorder(node, parent);
         }
+        this.valueReferencesRecorder(node);
+        this.classHierarchy.addNode(node);
+        this.iteratorConsumers.addNode(node);
       }
     });
 
@@ -557,15 +981,17 @@ JSDriver.prototype = {
 
     this.appendExtraListeners(listeners);
 
-    estraverse.traverse(ast, listeners);
+    traverse(ast, listeners);
   },
 
   /**
    * Map each AST node to its originating source file and line.
+   * @param {Object[]} lineMapping The line mappings of the parsed source.
+   *
    * @private
    */
-  lineMappingListener: function() {
-    const mappingList = this.lineMapping.slice();
+  lineMappingListener: function(lineMapping) {
+    const mappingList = lineMapping.slice();
     return {
       enter: (node) => {
         const parseLine = node.loc.start.line;
@@ -576,6 +1002,11 @@ JSDriver.prototype = {
         node.file = mapping.pathToFile;
         node.line = parseLine - mapping.startSourceLine + mapping.firstLineInFile;
 
+        // Columns start at 1, as editors show them.
+        node.column = node.loc.start.column + 1;
+        if (parseLine === mapping.startSourceLine)
+          node.column += mapping.firstColumnInFile - 1;
+
         const hash = `${mapping.pathToFile}:${node.line}`;
         if (!this.nodesByLine.has(hash))
           this.nodesByLine.set(hash, []);
@@ -592,19 +1023,23 @@ JSDriver.prototype = {
    * @private
    */
   currentScopeListener: function(ast, manager) {
-    let currentScope = manager.acquire(ast);
+    // For modules, this is the module scope rather than the global scope.
+    let currentScope = manager.acquire(ast, true);
+    const scopeStack = [];
     return {
       enter: (node) => {
         this.nodeToScope.set(node, currentScope);
         if (isFunctionNode(node)) {
           // get current function scope
+          scopeStack.unshift(currentScope);
           currentScope = manager.acquire(node);
         }
       },
       leave: (node) => {
         if (isFunctionNode(node)) {
-          // set to parent scope
-          currentScope = currentScope.upper;
+          // Back to the scope the function is in.  The function scope's upper
+          // scope may be a class scope we never entered.
+          currentScope = scopeStack.shift();
         }
       }
     };
@@ -618,8 +1053,10 @@ JSDriver.prototype = {
     this.functionStack = [];
     return {
       enter: (node) => {
-        if (isFunctionNode(node)) {
+        if (isFunctionBoundary(node)) {
           this.functionStack.unshift(node);
+          if (isFunctionNode(node))
+            this.functionNodes.push(node);
         }
         else if (this.functionStack.length) {
           const current = this.functionStack[0];
@@ -634,7 +1071,7 @@ JSDriver.prototype = {
       },
 
       leave: (node) => {
-        if (isFunctionNode(node)) {
+        if (isFunctionBoundary(node)) {
           this.functionStack.shift();
         }
       }
@@ -666,19 +1103,22 @@ JSDriver.prototype = {
 
   /**
    * Create a listener which triggers debugging breakpoints.
-   * @param {string} file The relative path to the original file.
-   * @param {number} line The line number in the original file.
+   * @param {string}  file   The relative path to the original file.
+   * @param {number}  line   The line number in the original file.
+   * @param {number?} column The column in the original file, or null for any column.
    *
    * @public
    * @note This shouldn't be used in Production code, only to
    * strategically define breakpoints based on AST nodes at a
    * specific location.
    */
-  debugByLine: function(file, line) {
+  debugByLine: function(file, line, column = null) {
     this.debugByLineListeners.push({
       enter: (node) => {
         voidFunc(this);
-        if ((node.file === file) && (node.line === line))
+        if ((node.file === file) &&
+            (node.line === line) &&
+            ((column === null) || (node.column === column)))
           debugger; // eslint-disable-line no-debugger
       }
     });
@@ -729,25 +1169,34 @@ JSDriver.prototype = {
     */
     const classStack = [/* { classNode: node, constructorNode: node } */];
     return {
-      enter: (node) => {
-        if (node.type === "ClassDeclaration") {
-          const nameNode = node.id;
-          const valueNode = node.body;
-          this.valueNodeToKeyNode.set(valueNode, nameNode);
+      enter: (node, parent) => {
+        if (isClassNode(node)) {
+          // const A = class {};, A = class {};
+          let nameNode = node.id;
+          if (!nameNode && (parent.type === "VariableDeclarator") && (parent.init === node))
+            nameNode = parent.id;
+          else if (!nameNode && (parent.type === "AssignmentExpression") && (parent.right === node))
+            nameNode = parent.left;
 
           let data = { classNode: node };
           const ctorNode = node.body.body.find(n => n.kind === "constructor");
           data.constructorNode = ctorNode ? ctorNode.value : node;
-          this.valueNodeToKeyNode.set(data.constructorNode, nameNode);
+          if (nameNode) {
+            this.valueNodeToKeyNode.set(node.body, nameNode);
+            this.valueNodeToKeyNode.set(data.constructorNode, nameNode);
+          }
           classStack.unshift(data);
         }
-        else if ((node.type === "MethodDefinition") && (node.kind !== "constructor")) {
+        else if (((node.type === "MethodDefinition") && (node.kind !== "constructor")) ||
+                 (node.type === "PropertyDefinition") ||
+                 (node.type === "StaticBlock"))
+        {
           this.nodeToConstructorFunction.set(node, classStack[0].constructorNode);
         }
       },
 
       leave: (node) => {
-        if (node.type === "ClassDeclaration") {
+        if (isClassNode(node)) {
           classStack.shift();
         }
       }
@@ -801,10 +1250,54 @@ JSDriver.prototype = {
       map = this.referencesByName;
     }
 
-    const name = this.getNodeName(node);
+    // x = a.b; reads b, whatever it assigns to.
+    const name = (node.type === "MemberExpression") ?
+                 this.getNodeName(node.property) :
+                 this.getNodeName(node);
     if (!map.get(name))
       map.set(name, []);
     map.get(name).push(node);
+
+    // a.call(), a.apply(), Reflect.apply(a, ...) invoke a, too.
+    const indirectCallee = this.calleeResolver.getIndirectCallee(node);
+    if (indirectCallee) {
+      const indirectName = this.getNodeName(indirectCallee);
+      if (indirectName === name)
+        return;
+      if (!map.get(indirectName))
+        map.set(indirectName, []);
+      map.get(indirectName).push(node);
+    }
+  },
+
+  /**
+   * Record the identifiers and member expressions a node passes or assigns as values.
+   * @param {Node} node
+   *
+   * @private
+   */
+  valueReferencesRecorder: function(node) {
+    let values = [];
+    if ((node.type === "CallExpression") || (node.type === "NewExpression"))
+      values = node.arguments; // a(b)
+    else if ((node.type === "VariableDeclarator") && node.init)
+      values = [node.init]; // const a = b;
+    else if ((node.type === "AssignmentExpression") && ["=", "??=", "||=", "&&="].includes(node.operator))
+      values = [node.right]; // a = b;, a ??= b;
+
+    values.forEach(value => {
+      let name;
+      if ((value.type === "Identifier") || (value.type === "MemberExpression"))
+        name = this.getNodeName(value);
+      else if (this.calleeResolver.isBindCall(value))
+        name = this.getNodeName(value.callee.object); // a.bind(thisArg)
+      else
+        return;
+
+      if (!this.valueReferencesByName.has(name))
+        this.valueReferencesByName.set(name, []);
+      this.valueReferencesByName.get(name).push(value);
+    });
   },
 
   /**
@@ -852,7 +1345,8 @@ JSDriver.prototype = {
   getNodeName: function(node) {
     if (this.valueNodeToKeyNode.get(node) === node)
       throw new Error("Invariant failure:  valueNodeToKeyNode.get(node) === node");
-    if (this.valueNodeToKeyNode.has(node) && (node.type !== "CallExpression"))
+    if (this.valueNodeToKeyNode.has(node) &&
+        (node.type !== "CallExpression") && (node.type !== "NewExpression"))
       return this.getNodeName(this.valueNodeToKeyNode.get(node));
 
     if (isFunctionNode(node)) {
@@ -866,24 +1360,36 @@ JSDriver.prototype = {
         return `${this.getNodeName}`
       case "CallExpression":
         return this.getNodeName(node.callee);
+      case "ChainExpression":
+        return this.getNodeName(node.expression);
       case "ClassDeclaration":
-        return this.getNodeName(node.id);
+      case "ClassExpression":
+        return node.id ? this.getNodeName(node.id) : "(class)";
       case "ConditionalExpression":
         return this.getNodeName(node.test);
       case "Identifier":
         return node.name;
+      case "ImportExpression":
+        return "import()";
       case "Literal":
         return node.raw;
       case "MemberExpression":
         return this.getNodeName(node.property);
+      case "MetaProperty":
+        return `${node.meta.name}.${node.property.name}`;
       case "NewExpression":
         return this.getNodeName(node.callee);
       case "ObjectPattern":
         return `{ ${node.properties.map(n => this.getNodeName(n))} }`;
+      case "PrivateIdentifier":
+        return "#" + node.name;
       case "Property":
+      case "PropertyDefinition":
         return this.getNodeName(node.key);
       case "StringLiteral":
         return node.value;
+      case "StaticBlock":
+        return "static";
       case "Super":
         if (!superClassMap.has(node)) {
           superClassMap.set(node, superClassMap.size);
@@ -919,13 +1425,33 @@ JSDriver.prototype = {
   nodeByLineFilterIndex: function(pathToFile, lineNumber, index, filter) {
     const key = pathToFile + ":" + lineNumber;
     let nodeList = this.nodesByLine.get(key);
-    if (!nodeList)
+    if (!nodeList) {
+      if (this.parseErrors.some(error => error.file === pathToFile))
+        throw new Error(`${pathToFile} failed to parse, so we skipped it`);
       throw new Error("No functions found at " + key);
+    }
 
     nodeList = nodeList.filter(filter);
     return nodeList[index] || null;
   },
 
+  /**
+   * Find the outermost node starting at a file, line and column.
+   * @param {string}   pathToFile The relative file path.
+   * @param {number}   lineNumber The line number in the file.
+   * @param {number}   column     The column in the file, starting at 1.
+   * @param {Function} filter     A filter for the nodes starting there, such as
+   *                              one checking the node type.
+   *
+   * @public
+   * @returns {Node?} The node, or null if no node there passes the filter.
+   */
+  nodeByLineColumn: function(pathToFile, lineNumber, column, filter) {
+    return this.nodeByLineFilterIndex(
+      pathToFile, lineNumber, 0, n => (n.column === column) && filter(n)
+    );
+  },
+
   /**
    * Given an AST node, find its index on a line after filtering for its type.
    * @param {Node} node The AST node.
@@ -961,35 +1487,203 @@ JSDriver.prototype = {
   },
 
   /**
-   * Mark a node asynchronous, and generate stack traces which indicate other
+   * Find a function node by its qualified name.
+   * @param {string}  qualifiedName The name:  "foo", "A.prototype.e" (or "A#e"),
+   *                                "A.staticMethod", or "module:foo" for a
+   *                                module's top-level or exported function.
+   * @param {string?} pathToFile    The relative file path, to narrow the search.
+   *
+   * @public
+   * @returns {Node} The function's node in the cached AST.
+   * @throws if no function goes by that name, or listing the candidates if
+   *         more than one does.
+   */
+  functionNodeFromName: function(qualifiedName, pathToFile = null) {
+    return this.qualifiedNames.find(qualifiedName, pathToFile);
+  },
+
+  /**
+   * Count the functions going by a qualified name.
+   * @param {string}  qualifiedName The name.
+   * @param {string?} pathToFile    The file to narrow the search to.
+   *
+   * @public
+   * @returns {number} The number of functions.
+   */
+  countFunctionsByName: function(qualifiedName, pathToFile = null) {
+    return this.qualifiedNames.getCandidates(qualifiedName, pathToFile).length;
+  },
+
+  /**
+   * Get the qualified names a function goes by.
+   * @param {Node} functionNode The function.
+   *
+   * @public
+   * @returns {Set} The names.
+   */
+  getQualifiedNames: function(functionNode) {
+    return this.qualifiedNames.getNames(functionNode);
+  },
+
+  /**
+   * Get a short label for a starting async node, for serializers attributing
+   * await and async sites to the nodes they're due to.
+   * @param {Node} functionNode The function.
+   *
+   * @public
+   * @returns {string} The first qualified name, or the node's name.
+   */
+  getSeedLabel: function(functionNode) {
+    const names = this.getQualifiedNames(functionNode);
+    return names.size ? names.values().next().value : this.getNodeName(functionNode);
+  },
+
+  /**
+   * Find the function node a configuration's markAsync refers to.
+   * @param {Object} markAsync One of { name, path? }, { path, line, column }
+   *                           or { path, line, functionIndex? }.
+   *
+   * @public
+   * @returns {Node} The function's node in the cached AST.
+   */
+  functionNodeFromConfiguration: function(markAsync) {
+    if ("name" in markAsync)
+      return this.functionNodeFromName(markAsync.name, markAsync.path || null);
+    if ("column" in markAsync)
+      return this.functionNodeFromLineColumn(markAsync.path, markAsync.line, markAsync.column);
+    return this.functionNodeFromLine(
+      markAsync.path,
+      markAsync.line,
+      markAsync.functionIndex || 0
+    );
+  },
+
+  /**
+   * Find the function node or nodes a configuration's markAsync refers to.
+   * @param {Object|Object[]} markAsync One markAsync location, or an array of them.
+   *
+   * @public
+   * @returns {Node|Node[]} The function node, or an array of function nodes.
+   */
+  startAsyncFromConfiguration: function(markAsync) {
+    if (Array.isArray(markAsync))
+      return markAsync.map(location => this.functionNodeFromConfiguration(location));
+    return this.functionNodeFromConfiguration(markAsync);
+  },
+
+  /**
+   * Find a node from a configuration's location.
+   * @param {Object}   location { path, line, column } or { path, line, index? }.
+   * @param {Function} filter   A filter for the nodes at that location.
+   *
+   * @public
+   * @returns {Node?} The node.
+   */
+  nodeFromLocation: function(location, filter) {
+    if ("column" in location)
+      return this.nodeByLineColumn(location.path, location.line, location.column, filter);
+    return this.nodeByLineFilterIndex(location.path, location.line, location.index || 0, filter);
+  },
+
+  /**
+   * Get the markAsync configuration for a function, including a qualified name
+   * when one finds that function alone.
+   * @param {Node} startAsync The function.
+   *
+   * @private
+   * @returns {Object}
+   */
+  getMarkAsyncConfiguration: function(startAsync) {
+    const rv = {
+      path: startAsync.file,
+      line: startAsync.line,
+      column: startAsync.column,
+    };
+
+    const name = Array.from(this.getQualifiedNames(startAsync)).find(qualifiedName => {
+      try {
+        return this.functionNodeFromName(qualifiedName, startAsync.file) === startAsync;
+      }
+      catch (ex) {
+        return false;
+      }
+    });
+    if (name)
+      rv.name = name;
+
+    return rv;
+  },
+
+  /**
+   * Find a function node starting at a given file, line and column.
+   * @param {string} pathToFile The relative file path.
+   * @param {number} lineNumber The line number in the file.
+   * @param {number} column     The column in the file, starting at 1.
+   *
+   * @public
+   * @returns {Node} The function's node in the cached AST.
+   */
+  functionNodeFromLineColumn: function(pathToFile, lineNumber, column) {
+    return this.nodeByLineColumn(pathToFile, lineNumber, column, isFunctionNode);
+  },
+
+  /**
+   * Mark nodes asynchronous, and generate stack traces which indicate other
    * nodes to mark async and await.
    *
-   * @param {Node} functionNode The first AST node to mark async.
+   * @param {Node|Node[]} functionNodes The first AST node or nodes to mark async.
    *
    * @public
    * @returns Map() of async nodes to corresponding await nodes and their async callers.
    */
-  getAsyncStacks: function(functionNode) {
+  getAsyncStacks: function(functionNodes) {
+    const seeds = Array.from(new Set([].concat(functionNodes)));
+
     // return
     const asyncReferences = new Map(/*
       async node: [
         {
           awaitNode: node that references the key async node,
           asyncNode: function that is an ancestor of the await node,
+          overrides: instead of an awaitNode, the key async node when
+                     asyncNode is a method overriding it,
+          iterationNode: instead of an awaitNode, code iterating over what
+                         the key async node returns, when it's a generator
+                         or a [Symbol.iterator]() method,
+          fixType: how to fix the iterationNode:  "for-await", "spread",
+                   "array-from", "yield-delegation" or "destructuring",
+          accessorCall: when the key async node is a getter or setter, the
+                        method call to replace the awaitNode with, such as
+                        "getX()" or "setX(value)",
+          factoryCall: when the key async node is a constructor and the
+                       constructorFactories option is on, the factory call
+                       to replace the new expression with, such as
+                       "await A.create()",
+          usage: how the code around the awaitNode uses its value, as
+                 getValueUsage() classifies it,
+          risks: what adding the await may break, as getAwaitRisks()
+                 finds it:  [{ kind, message }],
+          promiseConsumer: how code already consumes the promise at the
+                           awaitNode, such as "return" or "then()", when it
+                           needs no await and asyncNode is absent,
+          seeds: the starting nodes this reference is due to,
         },
         ...
       ]
     */);
 
     // The root of our async stack trees.
-    asyncReferences.set(null, [{
-      asyncNode: functionNode,
-    }]);
+    asyncReferences.set(null, seeds.map(seed => {
+      return {
+        asyncNode: seed,
+        seeds: [seed],
+      };
+    }));
 
     /* The list of async nodes grows as we iterate.  So we use markedAsync
     nodes to track them and scheduledAsyncNodes to avoid duplication.
     */
-    const markedAsyncNodes = [functionNode];
+    const markedAsyncNodes = seeds.slice();
     const scheduledAsyncNodes = new Set(markedAsyncNodes);
 
     for (let i = 0; i < markedAsyncNodes.length; i++) {
@@ -997,8 +1691,30 @@ JSDriver.prototype = {
       if (this.ignoredNodes.has(asyncNode))
         continue;
 
-      const awaitNodes = this.getAwaitNodes(asyncNode);
-      if (awaitNodes.length === 0)
+      // The caller must rewrite the call, not await it.
+      const hazard = this.getSyncCallbackHazard(asyncNode);
+      if (hazard) {
+        this.syncCallbackHazards.set(asyncNode, hazard);
+        continue;
+      }
+
+      let awaitNodes = this.getAwaitNodes(asyncNode);
+      const overrides = this.classHierarchy.getOverridingMethods(asyncNode);
+
+      // Callers of an async generator iterate over what it returns with
+      // for await...of.  They don't await the call.
+      let iterationConsumers = [];
+      if (this.iteratorConsumers.isIteratorSource(asyncNode)) {
+        const { consumers, unresolved } = this.iteratorConsumers.getConsumers(asyncNode, awaitNodes);
+        iterationConsumers = consumers;
+        unresolved.forEach(n => {
+          if (!this.ignoredNodes.has(n))
+            this.unresolvedNodes.add(n);
+        });
+        awaitNodes = [];
+      }
+
+      if ((awaitNodes.length === 0) && (overrides.length === 0) && (iterationConsumers.length === 0))
         continue;
 
       const references = [/*
@@ -1012,9 +1728,36 @@ JSDriver.prototype = {
           return;
 
         // Officially mark this node as await.
-        const refData = { awaitNode };
+        const refData = {
+          awaitNode,
+          usage: getValueUsage(awaitNode, this.nodeToParent),
+        };
         references.push(refData);
 
+        // return fetch(), fetch().then(...):  nothing to edit here.
+        const promiseConsumer = this.getPromiseConsumer(awaitNode);
+        if (promiseConsumer) {
+          refData.promiseConsumer = promiseConsumer;
+          return;
+        }
+
+        // Code after the await runs later:  loops serialize, and so on.
+        refData.risks = getAwaitRisks(awaitNode, this);
+
+        // A getter or setter can't be async, so this becomes a method call.
+        const accessorConversion = this.getAccessorConversion(asyncNode);
+        if (accessorConversion) {
+          refData.accessorCall = accessorConversion.methodName +
+                                 ((accessorConversion.kind === "set") ? "(value)" : "()");
+        }
+
+        // new A() becomes await A.create(), when the constructor becomes a factory.
+        const factoryConversion = this.getFactoryConversion(asyncNode);
+        if (factoryConversion && (awaitNode.type === "NewExpression")) {
+          refData.factoryCall = `await ${factoryConversion.factoryName}` +
+                                (awaitNode.arguments.length ? "(...)" : "()");
+        }
+
         const nextAsyncNode = this.nodeToEnclosingFunction.get(awaitNode);
         if (!nextAsyncNode || this.ignoredNodes.has(nextAsyncNode))
           return;
@@ -1028,11 +1771,285 @@ JSDriver.prototype = {
         scheduledAsyncNodes.add(nextAsyncNode);
         markedAsyncNodes.push(nextAsyncNode);
       });
+
+      // for await...of needs an async function around it, and so does the
+      // code replacing a spread.  yield* needs an async generator.
+      iterationConsumers.forEach(({iterationNode, fixType}) => {
+        if (this.ignoredNodes.has(iterationNode))
+          return;
+        const refData = { iterationNode, fixType };
+        references.push(refData);
+
+        const nextAsyncNode = this.nodeToEnclosingFunction.get(iterationNode);
+        if (!nextAsyncNode || this.ignoredNodes.has(nextAsyncNode))
+          return;
+        refData.asyncNode = nextAsyncNode.async ? null : nextAsyncNode;
+
+        if (scheduledAsyncNodes.has(nextAsyncNode))
+          return;
+        scheduledAsyncNodes.add(nextAsyncNode);
+        markedAsyncNodes.push(nextAsyncNode);
+      });
+
+      // Methods overriding an async method must be async, too.
+      overrides.forEach(override => {
+        if (this.ignoredNodes.has(override))
+          return;
+        if (!override.async)
+          references.push({ overrides: asyncNode, asyncNode: override });
+
+        if (scheduledAsyncNodes.has(override))
+          return;
+        scheduledAsyncNodes.add(override);
+        markedAsyncNodes.push(override);
+      });
     }
 
+    this.attributeSeeds(asyncReferences, seeds);
     return asyncReferences;
   },
 
+  /**
+   * Rewrite the source files, inserting the async and await keywords the
+   * async stacks call for.
+   * @param {Map} asyncReferences The stacks from getAsyncStacks().
+   *
+   * @public
+   * @returns {string[]} The files we rewrote, relative to the root directory.
+   */
+  applyAsyncEdits: async function(asyncReferences) {
+    const editsByFile = this.getAsyncEditsByFile(asyncReferences);
+    const files = Array.from(editsByFile.keys()).sort();
+    for (const file of files) {
+      const fullPath = path.resolve(this.rootDir, file);
+      const source = await fs.readFile(fullPath, { encoding: "UTF-8" } );
+      await fs.writeFile(fullPath, applyEdits(source, editsByFile.get(file)), { encoding: "UTF-8" } );
+    }
+    return files;
+  },
+
+  /**
+   * List the spreads, destructurings and Array.from() calls over async
+   * iterators, and the calls in default parameters, which applyAsyncEdits()
+   * leaves for the developer to fix.
+   * @param {Map} asyncReferences The stacks from getAsyncStacks().
+   *
+   * @public
+   * @returns {Object[]} [{ node, file, line, column, reason }].
+   */
+  getManualAsyncFixes: function(asyncReferences) {
+    return getManualFixes(asyncReferences, this);
+  },
+
+  /**
+   * Group the async and await edits the async stacks call for by file.
+   * @param {Map} asyncReferences The stacks from getAsyncStacks().
+   *
+   * @public
+   * @returns {Map} file: edits, with files relative to the root directory.
+   */
+  getAsyncEditsByFile: function(asyncReferences) {
+    const editsByFile = new Map(/* file: edits */);
+    getAsyncEdits(asyncReferences, this).forEach(edit => {
+      if (!editsByFile.has(edit.file))
+        editsByFile.set(edit.file, []);
+      editsByFile.get(edit.file).push(edit);
+    });
+    return editsByFile;
+  },
+
+  /**
+   * Insert edits from getAsyncEditsByFile() into a file's source.
+   * @param {string} source The file's source.
+   * @param {Object[]} edits The edits for that file.
+   *
+   * @public
+   * @returns {string} The edited source.
+   */
+  getEditedSource: function(source, edits) {
+    return applyEdits(source, edits);
+  },
+
+  /**
+   * The file an edit or a fix applies to:  the HTML file for an event
+   * handler attribute, as in "page.html:onclick".
+   * @param {string} file A node's file.
+   *
+   * @public
+   * @returns {string} The file, relative to the root directory.
+   */
+  getSourceFile: function(file) {
+    return getSourceFile(file);
+  },
+
+  /**
+   * Describe how code uses an await node's value, for the serializers.
+   * @param {string} usage The usage from getAsyncStacks().
+   *
+   * @public
+   * @returns {string} The label.
+   */
+  getUsageLabel: function(usage) {
+    return getUsageLabel(usage);
+  },
+
+  /**
+   * Suggest a fix for a site that iterates over an async iterator.
+   * @param {string} fixType The fix type from getAsyncStacks().
+   *
+   * @public
+   * @returns {string} The suggestion.
+   */
+  getIterationSuggestion: function(fixType) {
+    return IteratorConsumers.getSuggestion(fixType);
+  },
+
+  /**
+   * Check if a function is a callback to a synchronous higher-order method,
+   * as in array.forEach(async item => { ... }) or array.map(fn).
+   * @param {Node} functionNode The function, or a reference to it.
+   *
+   * @private
+   * @returns {Object?} The hazard, or null if there isn't one.
+   */
+  getSyncCallbackHazard: function(functionNode) {
+    const callNode = this.nodeToParent.get(functionNode);
+    if (!callNode || (callNode.type !== "CallExpression") ||
+        !callNode.arguments.includes(functionNode))
+      return null;
+
+    const callee = callNode.callee;
+    if (callee.type !== "MemberExpression")
+      return null;
+
+    const methodName = this.calleeResolver.getPropertyName(callee);
+    if (!this.syncCallbackMethods.has(methodName))
+      return null;
+
+    return {
+      callNode,
+      methodName,
+      suggestion: getSuggestion(methodName),
+    };
+  },
+
+  /**
+   * Check if code already consumes the promise a call returns, without an
+   * await:  by returning it from an async function, by chaining it with
+   * then(), catch() or finally(), by passing it to Promise.all() and the
+   * like, or by yielding it from an async generator.
+   * @param {Node} awaitNode The candidate await node.
+   *
+   * @private
+   * @returns {string?} How the promise is consumed, or null if it isn't.
+   */
+  getPromiseConsumer: function(awaitNode) {
+    let child = awaitNode;
+    let parent = this.nodeToParent.get(child);
+
+    // a?.b(), c ? a() : b(), a() || b()
+    while (parent &&
+           ((parent.type === "ChainExpression") ||
+            (parent.type === "LogicalExpression") ||
+            ((parent.type === "ConditionalExpression") && (parent.test !== child))))
+    {
+      child = parent;
+      parent = this.nodeToParent.get(child);
+    }
+    if (!parent)
+      return null;
+
+    const enclosingFunction = this.nodeToEnclosingFunction.get(awaitNode);
+    switch (parent.type) {
+      case "ReturnStatement":
+        // return a();
+        return (enclosingFunction && enclosingFunction.async) ? "return" : null;
+
+      case "ArrowFunctionExpression":
+        // async () => a()
+        return ((parent.body === child) && parent.async) ? "return" : null;
+
+      case "YieldExpression":
+        // async function* g() { yield a(); }
+        return (enclosingFunction && enclosingFunction.async && enclosingFunction.generator) ?
+               "yield" :
+               null;
+
+      case "MemberExpression": {
+        // a().then(...)
+        const callNode = this.nodeToParent.get(parent);
+        const methodName = this.calleeResolver.getPropertyName(parent);
+        if ((parent.object === child) &&
+            callNode && (callNode.type === "CallExpression") && (callNode.callee === parent) &&
+            promiseChainMethods.includes(methodName))
+          return `${methodName}()`;
+        return null;
+      }
+
+      case "ArrayExpression": {
+        // Promise.all([a(), b()])
+        const callNode = this.nodeToParent.get(parent);
+        if (callNode && (callNode.type === "CallExpression") &&
+            (callNode.arguments[0] === parent) &&
+            isPromiseCombinator(callNode.callee))
+          return `Promise.${callNode.callee.property.name}()`;
+        return null;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Record which starting nodes each await and async node is due to.
+   * @param {Map}    asyncReferences The stacks from getAsyncStacks().
+   * @param {Node[]} seeds           The starting nodes.
+   *
+   * @private
+   */
+  attributeSeeds: function(asyncReferences, seeds) {
+    const seedsByAsyncNode = new Map(/* async node: Set(seed) */);
+    seeds.forEach(seed => seedsByAsyncNode.set(seed, new Set([seed])));
+
+    // Callers inherit the seeds of what they await, and the call graph may
+    // have cycles, so we repeat until nothing changes.
+    let changed = true;
+    while (changed) {
+      changed = false;
+      asyncReferences.forEach((references, asyncNode) => {
+        const sourceSeeds = seedsByAsyncNode.get(asyncNode);
+        if (!asyncNode || !sourceSeeds)
+          return;
+
+        // An overriding method has no await node, it's async on its own.
+        references.forEach(({awaitNode, iterationNode, asyncNode: overridingNode}) => {
+          const site = awaitNode || iterationNode;
+          const caller = site ? this.nodeToEnclosingFunction.get(site) : overridingNode;
+          if (!caller)
+            return;
+          if (!seedsByAsyncNode.has(caller))
+            seedsByAsyncNode.set(caller, new Set());
+          const callerSeeds = seedsByAsyncNode.get(caller);
+          sourceSeeds.forEach(seed => {
+            if (callerSeeds.has(seed))
+              return;
+            callerSeeds.add(seed);
+            changed = true;
+          });
+        });
+      });
+    }
+
+    // Keep the seeds in the order the caller listed them.
+    asyncReferences.forEach((references, asyncNode) => {
+      if (!asyncNode)
+        return;
+      const nodeSeeds = seedsByAsyncNode.get(asyncNode);
+      references.forEach(refData => {
+        refData.seeds = seeds.filter(seed => nodeSeeds.has(seed));
+      });
+    });
+  },
+
   /**
    * Get a list of nodes possibly referencing a particular async node.
    *
@@ -1045,12 +2062,39 @@ JSDriver.prototype = {
     const asyncScope = this.nodeToScope.get(asyncNode);
     const asyncName = this.getNodeName(asyncNode);
 
-    // function calls
-    let maybeAwaitNodes = this.callsByName.get(asyncName) || [];
+    // function calls, including through names other modules import it by
+    let maybeAwaitNodes = [];
+    {
+      const names = new Set([asyncName]);
+      this.calleeResolver.getAliasNames(asyncNode).forEach(name => names.add(name));
+      names.forEach(name => {
+        maybeAwaitNodes = maybeAwaitNodes.concat(this.callsByName.get(name) || []);
+      });
+    }
+
+    // calls through the parameters and variables the function flows into
+    const flowAwaitNodes = new Set();
+    {
+      const { names, escapes } = this.valueFlow.getValueFlow(asyncNode);
+      names.forEach(name => {
+        (this.callsByName.get(name) || []).forEach(n => flowAwaitNodes.add(n));
+      });
+
+      // setTimeout(fn, 0), array.map(fn):  we can't await these.
+      escapes.forEach(({reference}) => {
+        if (this.ignoredNodes.has(reference))
+          return;
+        const hazard = this.getSyncCallbackHazard(reference);
+        if (hazard)
+          this.syncCallbackHazards.set(reference, hazard);
+        else
+          this.unresolvedNodes.add(reference);
+      });
+    }
 
     // direct references
     if (this.accessorNodes.has(asyncNode)) {
-      maybeAwaitNodes = maybeAwaitNodes.concat(this.referencesByName.get(asyncName));
+      maybeAwaitNodes = maybeAwaitNodes.concat(this.referencesByName.get(asyncName) || []);
     }
 
     // constructor reference
@@ -1065,26 +2109,62 @@ JSDriver.prototype = {
 
       if (memberNodes) {
         memberNodes.forEach(n => {
-          if (this.getNodeName(n) === asyncName)
-            maybeAwaitNodes.push(n);
+          if (this.getNodeName(n) !== asyncName)
+            return;
+
+          // We may have this.x or this.x() already, from the direct references.
+          const memberNode = this.nodeToParent.get(n);
+          const callNode = this.nodeToParent.get(memberNode);
+          if (maybeAwaitNodes.includes(memberNode) ||
+              (callNode && (callNode.callee === memberNode) && maybeAwaitNodes.includes(callNode)))
+            return;
+          maybeAwaitNodes.push(n);
         });
       }
     }
 
-    return maybeAwaitNodes.filter((maybe) => {
-      if (this.nodesInAwaitCall.has(maybe))
-        return false;
+    const hasSubclasses = Array.from(this.calleeResolver.getOwnerValues(asyncNode)).some(
+      owner => (owner !== CalleeResolver.unknown) && this.classHierarchy.getDescendantValues(owner).length
+    );
 
-      let awaitScope = this.nodeToScope.get(maybe);
-      while (awaitScope) {
-        if (awaitScope === asyncScope)
-          return true;
+    // Reading a property calls its getter, and assigning to it calls its setter.
+    const accessorConversion = this.getAccessorConversion(asyncNode);
+    if (accessorConversion) {
+      maybeAwaitNodes = maybeAwaitNodes.filter(
+        maybe => this.isAccessorSite(maybe, accessorConversion.kind)
+      );
+    }
 
-        awaitScope = awaitScope.upper;
+    const rv = maybeAwaitNodes.filter((maybe) => {
+      if (this.nodesInAwaitCall.has(maybe))
+        return false;
+      flowAwaitNodes.delete(maybe);
+
+      // Other modules reach top-level functions through their bindings, and
+      // subclasses reach the methods they inherit.
+      if (!isTopLevelScope(asyncScope) && !hasSubclasses) {
+        let awaitScope = this.nodeToScope.get(maybe);
+        while (awaitScope && (awaitScope !== asyncScope))
+          awaitScope = awaitScope.upper;
+        if (!awaitScope)
+          return false;
       }
 
-      return false;
+      const resolution = this.calleeResolver.resolve(maybe, asyncNode);
+      if ((resolution === CalleeResolver.UNRESOLVED) && !this.ignoredNodes.has(maybe))
+        this.unresolvedNodes.add(maybe);
+      return resolution === CalleeResolver.MATCH;
     });
+
+    // Calls through other names may live anywhere the value went.  Other
+    // functions' values reach these too, so we only keep the matches.
+    flowAwaitNodes.forEach(maybe => {
+      if (!this.nodesInAwaitCall.has(maybe) &&
+          (this.calleeResolver.resolve(maybe, asyncNode) === CalleeResolver.MATCH))
+        rv.push(maybe);
+    });
+
+    return rv;
   },
 
   /**
@@ -1094,6 +2174,38 @@ JSDriver.prototype = {
     return node.file + ":" + node.line;
   },
 
+  /**
+   * Get the function (or class field or static block) a node is in.
+   * @param {Node} node The node.
+   *
+   * @public
+   * @returns {Node?} The function, or undefined at a script's top level.
+   */
+  getEnclosingFunction: function(node) {
+    return this.nodeToEnclosingFunction.get(node);
+  },
+
+  /**
+   * Get the line and column in its file just after a node ends.
+   * @param {Node} node The node.
+   *
+   * @public
+   * @returns {Object} { line, column }, with the column counting from 1.
+   */
+  getNodeEnd: function(node) {
+    const { start, end } = node.loc;
+    let column = end.column + 1;
+
+    // Only the first line of an inline script starts past column 1.
+    if (end.line === start.line)
+      column += node.column - start.column - 1;
+
+    return {
+      line: node.line + end.line - start.line,
+      column,
+    };
+  },
+
   /**
    * Generate a serialization of the node's important properties.
    * @param {Node} node The node to serialize.
@@ -1102,16 +2214,107 @@ JSDriver.prototype = {
    * @returns {string} The serialization of the node.
    */
   serializeNode: function(node) {
-    let rv = `${this.fileAndLine(node)} ${node.type}[${this.indexOfNodeOnLine(node)}]`;
+    let rv = `${this.fileAndLine(node)}:${node.column} ${node.type}`;
     if (this.accessorNodes.has(node)) {
       rv += ", accessor";
     }
     if (this.constructorFunctions.has(node)) {
       rv += ", constructor";
+      const factoryConversion = this.getFactoryConversion(node);
+      if (factoryConversion)
+        rv += `, move into ${factoryConversion.factoryName}()`;
+    }
+    if (this.iteratorConsumers.isIteratorMethod(node)) {
+      rv += ", rename to Symbol.asyncIterator";
     }
     return rv;
   },
 
+  /**
+   * Get the flags serializeNode() lists for a node.
+   * @param {Node} node The node.
+   *
+   * @public
+   * @returns {Object} { accessor: boolean, constructor: boolean }
+   */
+  getNodeFlags: function(node) {
+    return {
+      accessor: this.accessorNodes.has(node),
+      constructor: this.constructorFunctions.has(node),
+    };
+  },
+
+  /**
+   * Get the method an async getter or setter should become:  get x() becomes
+   * getX(), and set x(v) becomes setX(v).
+   * @param {Node} node The accessor function.
+   *
+   * @public
+   * @returns {Object?} { kind: "get" or "set", methodName }, or null if the
+   *                    node isn't an accessor.
+   */
+  getAccessorConversion: function(node) {
+    if (!this.accessorNodes.has(node))
+      return null;
+    const kind = this.nodeToParent.get(node).kind;
+
+    // #x becomes #getX
+    let name = this.getNodeName(node), prefix = "";
+    if (name.startsWith("#")) {
+      prefix = "#";
+      name = name.substring(1);
+    }
+    return {
+      kind,
+      methodName: prefix + kind + name.charAt(0).toUpperCase() + name.substring(1),
+    };
+  },
+
+  /**
+   * Get the factory an async constructor should become, when the
+   * constructorFactories option is on:  constructor() in class A becomes
+   * static async create(), which A.create() calls.
+   * @param {Node} node The constructor function.
+   *
+   * @public
+   * @returns {Object?} { className, factoryName }, or null if the node isn't a
+   *                    constructor or the option is off.
+   */
+  getFactoryConversion: function(node) {
+    if (!this.options.constructorFactories || !this.constructorFunctions.has(node))
+      return null;
+    const className = this.getNodeName(node);
+    return {
+      className,
+      factoryName: className + ".create",
+    };
+  },
+
+  /**
+   * Check if a reference to a property calls its getter or its setter.
+   * @param {Node}   node The reference.
+   * @param {string} kind "get" for a getter, "set" for a setter.
+   *
+   * @private
+   * @returns {boolean}
+   */
+  isAccessorSite: function(node, kind) {
+    // The constructor's memberNodesInScope records this.x's x.
+    let reference = node;
+    const parent = this.nodeToParent.get(node);
+    if (parent && (parent.type === "MemberExpression") && (parent.property === node))
+      reference = parent;
+
+    const referenceParent = this.nodeToParent.get(reference);
+    const isWrite = referenceParent &&
+      (((referenceParent.type === "AssignmentExpression") && (referenceParent.left === reference)) ||
+       ((referenceParent.type === "UpdateExpression") && (referenceParent.argument === reference)));
+
+    // x.y += 1 and x.y++ call both.
+    const isRead = !isWrite || (referenceParent.operator !== "=");
+    return (kind === "set") ? isWrite : isRead;
+  },
+
   /**
    * Report if a node we marked async cannot have an async keyword on it.
    *
@@ -1121,8 +2324,12 @@ JSDriver.prototype = {
    * @returns {Boolean}
    */
   isAsyncSyntaxError: function(node) {
+    // With the constructorFactories option, the constructor's body moves
+    // into an async factory instead.
     return this.accessorNodes.has(node) ||
-           this.constructorFunctions.has(node);
+           (this.constructorFunctions.has(node) && !this.getFactoryConversion(node)) ||
+           (node.type === "StaticBlock") ||
+           (node.type === "PropertyDefinition");
   },
 
   serializeMiscellaneous: function() {
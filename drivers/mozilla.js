@@ -79,6 +79,12 @@ class MozillaDriver {
 
     this.ignoredNodes = new Set(/* node */);
 
+    this.unresolvedNodes = new Set(/* node */);
+
+    this.syncCallbackHazards = new Map(/* callback node: { callNode, methodName, suggestion } */);
+
+    this.parseErrors = [/* { file, line, column, message } */];
+
     this.asyncTasks = [/* async function() */];
 
     this.contractToFiles = null; // new Map( contract: file[] )
@@ -154,12 +160,12 @@ class MozillaDriver {
   scheduleConfiguration(config) {
     this.asyncTasks.push(async () => {
       // Start processing.
-      if (!this.sourceToDriver.has(config.markAsync.path)) {
+      if (!this.sourceToDriver.has(getMarkAsyncPath(config))) {
         this.buildSubDriver(config);
       }
 
       // Parse the files specified by the configuration.
-      let driverPath = config.markAsync.path;
+      let driverPath = getMarkAsyncPath(config);
       if (config.type === "html")
         driverPath = config.pathToHTML;
       const subDriver = this.sourceToDriver.get(driverPath);
@@ -183,6 +189,9 @@ class MozillaDriver {
         });
 
         Array.from(subDriver.ignoredNodes.values).forEach(value => this.ignoredNodes.add(value));
+        subDriver.unresolvedNodes.forEach(value => this.unresolvedNodes.add(value));
+        subDriver.syncCallbackHazards.forEach((value, key) => this.syncCallbackHazards.set(key, value));
+        Array.prototype.push.apply(this.parseErrors, subDriver.parseErrors);
 
         // Schedule future configurations based on XPCOM components we marked async.
         await this.buildSubsidiaryConfigsByComponents(asyncComponents, config);
@@ -206,7 +215,7 @@ class MozillaDriver {
     let driver;
     if (config.type === "javascript") {
       driver = new MozillaJSDriver(this, config.root, this.options);
-      this.sourceToDriver.set(config.markAsync.path, driver);
+      this.sourceToDriver.set(getMarkAsyncPath(config), driver);
     }
     else if (config.type === "html") {
       driver = new MozillaHTMLDriver(this, config.root, this.options);
@@ -504,6 +513,28 @@ class MozillaDriver {
     return rv;
   }
 
+  getNodeFlags(node) {
+    const subDriver = this.nodeToDriver.get(node);
+    const rv = subDriver.getNodeFlags(node);
+    rv.xpcomComponent = this.xpcomComponents.has(node);
+    return rv;
+  }
+
+  getNodeEnd(node) {
+    const subDriver = this.nodeToDriver.get(node);
+    return subDriver.getNodeEnd(node);
+  }
+
+  getEnclosingFunction(node) {
+    const subDriver = this.nodeToDriver.get(node);
+    return subDriver.getEnclosingFunction(node);
+  }
+
+  indexOfNodeOnLine(node) {
+    const subDriver = this.nodeToDriver.get(node);
+    return subDriver.indexOfNodeOnLine(node);
+  }
+
   isAsyncSyntaxError(node) {
     if (this.xpcomComponents.has(node))
       return true;
@@ -511,6 +542,28 @@ class MozillaDriver {
     return subDriver.isAsyncSyntaxError(node);
   }
 
+  getAccessorConversion(node) {
+    const subDriver = this.nodeToDriver.get(node);
+    return subDriver.getAccessorConversion(node);
+  }
+
+  getSeedLabel(seed) {
+    const subDriver = this.nodeToDriver.get(seed);
+    return subDriver.getSeedLabel(seed);
+  }
+
+  getSourceFile(file) {
+    return JSDriver.prototype.getSourceFile(file);
+  }
+
+  getUsageLabel(usage) {
+    return JSDriver.prototype.getUsageLabel(usage);
+  }
+
+  getIterationSuggestion(fixType) {
+    return JSDriver.prototype.getIterationSuggestion(fixType);
+  }
+
   serializeMiscellaneous() {
     return Array.from(this.exportLocations.values()).join("\n");
   }
@@ -639,6 +692,18 @@ class MozillaHTMLDriver extends HTMLDriver {
 }
 MozillaMixinDriver.install(MozillaHTMLDriver.prototype);
 
+/**
+ * Get the file a configuration's markAsync starts in.  With several markAsync
+ * locations, they all start in the first location's file.
+ *
+ * @param {Object} config The configuration.
+ * @returns {string} The path to the file.
+ */
+function getMarkAsyncPath(config) {
+  const markAsync = Array.isArray(config.markAsync) ? config.markAsync[0] : config.markAsync;
+  return markAsync.path;
+}
+
 function compareAwaitAsync(a, b) {
   if (a.awaitNode && !b.awaitNode)
     return -1;
@@ -0,0 +1,335 @@
+"use strict";
+
+/**
+ * @fileoverview
+ *
+ * The async and await keywords StackLizard reports, as edits to the source
+ * files:
+ *
+ *   - "async " before each function we mark async,
+ *   - "await " before each call we mark await, with parentheses where the
+ *     code around it would otherwise bind tighter:  (await a()).b,
+ *   - " await" after the for of each for...of loop over an async iterator.
+ *
+ * Each edit only inserts text, so formatting and comments stay as they are.
+ * We skip ignored nodes, and we don't touch the functions which can't be
+ * async (constructors, getters, setters, class fields and static blocks), or
+ * the await nodes reaching them.  Those still need a refactoring by hand.
+ *
+ * Neither do we touch a spread, destructuring or Array.from() of an async
+ * iterator, or the function around it:  adding async there would leave the
+ * code spreading a promise.  A call in a default parameter can't take an
+ * await either, even in an async function.  getManualFixes() lists these for
+ * the developer.
+ */
+
+const { getValueNode } = require("./valueUsage");
+const { getSuggestion: getIterationSuggestion } = require("./iteratorConsumers");
+
+// Iteration which no keyword makes async.
+const manualFixTypes = [
+  "spread",
+  "destructuring",
+  "array-from",
+];
+
+/**
+ * Get the file a node's source lives in:  an event handler attribute's code
+ * lives in its HTML file.
+ * @param {string} file The node's file, from the driver.
+ *
+ * @public
+ * @returns {string}
+ */
+function getSourceFile(file) {
+  return file.replace(/(\.x?html?):on\w+$/, "$1");
+}
+
+/**
+ * Check if the code around an expression binds tighter than await does, so
+ * the await needs parentheses:  a().b, a()(), a()`x`, a() ** 2.
+ * @private
+ */
+function needsParentheses(node, parent) {
+  if (!parent)
+    return false;
+  switch (parent.type) {
+    case "MemberExpression":
+      return parent.object === node;
+    case "CallExpression":
+    case "NewExpression":
+      return parent.callee === node;
+    case "TaggedTemplateExpression":
+      return parent.tag === node;
+    case "BinaryExpression":
+      return (parent.operator === "**") && (parent.left === node);
+  }
+  return false;
+}
+
+/**
+ * Check if a node is in the parameters of the function around it, as in
+ * function f(x = a()) {}.
+ * @private
+ */
+function isInParameters(node, driver) {
+  for (let child = node, parent = driver.nodeToParent.get(child);
+       parent;
+       child = parent, parent = driver.nodeToParent.get(child))
+  {
+    if (parent.type.includes("Function"))
+      return parent.params.includes(child);
+  }
+  return false;
+}
+
+/**
+ * Walk the async stacks through the functions we make async, or which are
+ * already.
+ * @param {Map}      asyncRefs The stacks from getAsyncStacks().
+ * @param {JSDriver} driver    The driver which built them.
+ *
+ * @private
+ * @returns {Object} {
+ *   asyncReasons:    Map(function node: reason),
+ *   awaitReasons:    Map(await node: reason),
+ *   forAwaitReasons: Map(for...of node: reason),
+ *   manualFixes:     Map(iteration or await node: reason),
+ * }
+ */
+function walkAsyncStacks(asyncRefs, driver) {
+  const asyncReasons = new Map(/* function node: reason */);
+  const awaitReasons = new Map(/* await node: reason */);
+  const forAwaitReasons = new Map(/* for...of node: reason */);
+  const manualFixes = new Map(/* iteration or await node: reason */);
+
+  const canEdit = node => !driver.ignoredNodes.has(node) && !node.file.startsWith("(");
+  const canBeAsync = node => {
+    return canEdit(node) && !node.async &&
+           !driver.isAsyncSyntaxError(node) &&
+           !driver.constructorFunctions.has(node);
+  };
+
+  /* We only follow the stacks through functions we make async, or which are
+  already.  new A() and x.y don't become awaits until someone converts A or y
+  by hand, so their callers don't need async either.
+  */
+  const keyNodes = [null];
+  for (let i = 0; i < keyNodes.length; i++) {
+    const keyNode = keyNodes[i];
+    const keyName = keyNode ? `${driver.getNodeName(keyNode)}()` : "";
+
+    (asyncRefs.get(keyNode) || []).forEach(refData => {
+      const {
+        awaitNode, asyncNode, overrides, iterationNode, fixType,
+        promiseConsumer, accessorCall, factoryCall,
+      } = refData;
+
+      if (iterationNode && manualFixTypes.includes(fixType)) {
+        if (canEdit(iterationNode))
+          manualFixes.set(iterationNode, `${getIterationSuggestion(fixType)} (${keyName})`);
+        return;
+      }
+
+      if (awaitNode && !promiseConsumer && isInParameters(awaitNode, driver)) {
+        if (canEdit(awaitNode))
+          manualFixes.set(awaitNode, `await isn't allowed in a parameter; move the call into the function body (${keyName})`);
+        return;
+      }
+
+      if (asyncNode && canBeAsync(asyncNode) && !asyncReasons.has(asyncNode)) {
+        let reason;
+        if (!keyNode)
+          reason = `seed ${driver.getNodeName(asyncNode)}()`;
+        else if (overrides)
+          reason = `async because it overrides ${keyName}`;
+        else
+          reason = `async because of ${keyName}`;
+        asyncReasons.set(asyncNode, reason);
+        keyNodes.push(asyncNode);
+      }
+      else if (!keyNode && asyncNode && asyncNode.async && canEdit(asyncNode) &&
+               !keyNodes.includes(asyncNode)) {
+        // A seed which is async already.
+        keyNodes.push(asyncNode);
+      }
+
+      if (awaitNode && !promiseConsumer && !accessorCall && !factoryCall &&
+          canEdit(awaitNode) && !awaitReasons.has(awaitNode))
+        awaitReasons.set(awaitNode, `await of ${keyName}`);
+
+      if (iterationNode && (fixType === "for-await") && canEdit(iterationNode))
+        forAwaitReasons.set(iterationNode, `for await...of ${keyName}`);
+    });
+  }
+
+  return { asyncReasons, awaitReasons, forAwaitReasons, manualFixes };
+}
+
+/**
+ * Build the list of edits implied by a driver's async stacks.
+ * @param {Map}      asyncRefs The stacks from getAsyncStacks().
+ * @param {JSDriver} driver    The driver which built them.
+ *
+ * @public
+ * @returns {Object[]} [{
+ *   file: the file to edit,
+ *   line, column: where to insert the text, from 1,
+ *   text: the text to insert,
+ *   node: the node the edit is for,
+ *   closing: true for the closing parenthesis after a node,
+ *   reason: why StackLizard wants the edit, such as "seed a()", "await of a()"
+ *           or "async because of a()",
+ * }], in no particular order.
+ */
+function getAsyncEdits(asyncRefs, driver) {
+  const { asyncReasons, awaitReasons, forAwaitReasons } = walkAsyncStacks(asyncRefs, driver);
+
+  // An await needs an async function around it, or a module's top level.
+  const allowsAwait = node => {
+    const fn = driver.nodeToEnclosingFunction.get(node);
+    if (!fn)
+      return driver.isModuleMode();
+    return fn.async || asyncReasons.has(fn);
+  };
+
+  const rv = [];
+  asyncReasons.forEach((reason, node) => {
+    rv.push(Object.assign({ node, reason }, getAsyncInsertion(node, driver)));
+  });
+
+  const wrapped = new Set();
+  awaitReasons.forEach((reason, awaitNode) => {
+    if (!allowsAwait(awaitNode))
+      return;
+
+    // this.a(), a?.b()
+    let node = getValueNode(awaitNode, driver.nodeToParent);
+    let parent = driver.nodeToParent.get(node);
+    if (parent && (parent.type === "ChainExpression")) {
+      node = parent;
+      parent = driver.nodeToParent.get(node);
+    }
+    if (wrapped.has(node))
+      return;
+    wrapped.add(node);
+
+    const file = getSourceFile(node.file);
+    if (needsParentheses(node, parent)) {
+      rv.push({ file, line: node.line, column: node.column, text: "(await ", node, reason });
+      rv.push(Object.assign({ file, text: ")", node, closing: true, reason }, driver.getNodeEnd(node)));
+    }
+    else {
+      rv.push({ file, line: node.line, column: node.column, text: "await ", node, reason });
+    }
+  });
+
+  forAwaitReasons.forEach((reason, node) => {
+    if (!allowsAwait(node))
+      return;
+    // for (...) becomes for await (...)
+    rv.push({
+      file: getSourceFile(node.file),
+      line: node.line,
+      column: node.column + "for".length,
+      text: " await",
+      node,
+      reason,
+    });
+  });
+
+  return rv;
+}
+
+/**
+ * List the iteration over async iterators, and the calls in default
+ * parameters, which getAsyncEdits() leaves alone for the developer to rewrite
+ * by hand.
+ * @param {Map}      asyncRefs The stacks from getAsyncStacks().
+ * @param {JSDriver} driver    The driver which built them.
+ *
+ * @public
+ * @returns {Object[]} [{ node, file, line, column, reason }], by file and line,
+ *                     where the reason is a suggestion such as
+ *                     "use await Array.fromAsync() (a())".
+ */
+function getManualFixes(asyncRefs, driver) {
+  const rv = [];
+  walkAsyncStacks(asyncRefs, driver).manualFixes.forEach((reason, node) => {
+    rv.push({ node, file: getSourceFile(node.file), line: node.line, column: node.column, reason });
+  });
+  rv.sort((a, b) => {
+    if (a.file !== b.file)
+      return (a.file < b.file) ? -1 : +1;
+    return (a.line - b.line) || (a.column - b.column);
+  });
+  return rv;
+}
+
+/**
+ * Get where the async keyword goes for a function.
+ * @private
+ */
+function getAsyncInsertion(node, driver) {
+  const file = getSourceFile(node.file);
+  const parent = driver.nodeToParent.get(node);
+
+  // a() {}, static a() {}, *a() {}, [Symbol.iterator]() {}
+  const isMethod = parent && (parent.value === node) &&
+                   ((parent.type === "MethodDefinition") ||
+                    ((parent.type === "Property") && parent.method));
+  if (!isMethod)
+    return { file, line: node.line, column: node.column, text: "async " };
+
+  if (parent.static)
+    return { file, line: parent.line, column: parent.column + "static".length, text: " async" };
+  return { file, line: parent.line, column: parent.column, text: "async " };
+}
+
+/**
+ * Apply edits to the source of one file.
+ * @param {string}   source The file's source.
+ * @param {Object[]} edits  The file's edits, from getAsyncEdits().
+ *
+ * @public
+ * @returns {string} The edited source.
+ */
+function applyEdits(source, edits) {
+  const lineStarts = [0];
+  for (let i = source.indexOf("\n"); i !== -1; i = source.indexOf("\n", i + 1))
+    lineStarts.push(i + 1);
+
+  const positioned = edits.map(edit => {
+    return {
+      edit,
+      offset: lineStarts[edit.line - 1] + edit.column - 1,
+      span: edit.node ? edit.node.range[1] - edit.node.range[0] : 0,
+    };
+  });
+
+  /* Apply the edits from the end of the file backwards, so the offsets stay
+  right.  At the same offset, the last edit we apply ends up first:  so
+  closing parentheses go last, and then outer nodes after inner ones, for
+  "await (await a()).b()".
+  */
+  positioned.sort((a, b) => {
+    if (a.offset !== b.offset)
+      return b.offset - a.offset;
+    if (Boolean(a.edit.closing) !== Boolean(b.edit.closing))
+      return a.edit.closing ? 1 : -1;
+    return a.span - b.span;
+  });
+
+  let rv = source;
+  positioned.forEach(({edit, offset}) => {
+    rv = rv.substring(0, offset) + edit.text + rv.substring(offset);
+  });
+  return rv;
+}
+
+module.exports = {
+  getAsyncEdits,
+  getManualFixes,
+  getSourceFile,
+  applyEdits,
+};
@@ -0,0 +1,196 @@
+"use strict";
+
+/**
+ * @fileoverview
+ *
+ * Adding an await is more than adding a keyword.  The code after the await
+ * now runs later, in another task, so:
+ *
+ *   - an await in a finally block delays the cleanup after it, and a
+ *     rejection there replaces the exception the try block threw,
+ *   - an await in a loop runs the iterations one at a time,
+ *   - an event dispatcher doesn't wait for an async listener, so
+ *     preventDefault() after the await comes too late,
+ *   - other code may run between a read of this.x before the await and a
+ *     write of this.x after it.
+ *
+ * This module flags those risks for each await node, so the serializers can
+ * warn about them.
+ */
+
+const { MATCH } = require("./calleeResolver");
+
+const loopTypes = [
+  "ForStatement",
+  "ForInStatement",
+  "ForOfStatement",
+  "WhileStatement",
+  "DoWhileStatement",
+];
+
+const exitTypes = [
+  "ReturnStatement",
+  "ThrowStatement",
+];
+
+const listenerMethods = [
+  "addEventListener",
+  "addListener",
+  "on",
+  "once",
+  "prependListener",
+  "prependOnceListener",
+];
+
+/**
+ * Get the risks of adding an await at a node.
+ * @param {Node}     awaitNode The await node.
+ * @param {JSDriver} driver    The driver which parsed the sources.
+ *
+ * @public
+ * @returns {Object[]} [{ kind, message }], where kind is "finally", "loop",
+ *                     "event-listener" or "shared-state".
+ */
+function getAwaitRisks(awaitNode, driver) {
+  const rv = [];
+  const fn = driver.nodeToEnclosingFunction.get(awaitNode);
+
+  let inFinally = false, inLoop = false;
+
+  /* return await f(); and throw await f(); leave the loop, so the await runs
+  once.  A throw caught inside the loop doesn't leave it.  (A break statement
+  has no expression to await.)
+  */
+  let statement = null, exitsLoop = false;
+  for (let child = awaitNode, parent = driver.nodeToParent.get(child);
+       parent && (child !== fn);
+       child = parent, parent = driver.nodeToParent.get(child))
+  {
+    if (!statement && /(Statement|Declaration)$/.test(parent.type)) {
+      statement = parent;
+      exitsLoop = exitTypes.includes(parent.type);
+    }
+
+    if ((parent.type === "TryStatement") && (parent.finalizer === child))
+      inFinally = true;
+
+    if ((statement && statement.type === "ThrowStatement") &&
+        (parent.type === "TryStatement") && (parent.block === child) && parent.handler)
+      exitsLoop = false;
+
+    // for (const x of await list()) runs the await once.
+    if (loopTypes.includes(parent.type) && (parent.init !== child) && (parent.right !== child) &&
+        !exitsLoop)
+      inLoop = true;
+  }
+
+  if (inFinally) {
+    rv.push({
+      kind: "finally",
+      message: "await inside a finally block delays the cleanup after it, " +
+               "and a rejection replaces any exception the try block threw",
+    });
+  }
+
+  if (inLoop) {
+    rv.push({
+      kind: "loop",
+      message: "await inside a loop runs the iterations one at a time; " +
+               "collect the promises and await Promise.all() if they may run together",
+    });
+  }
+
+  if (fn && isEventListener(fn, driver)) {
+    rv.push({
+      kind: "event-listener",
+      message: "event dispatch doesn't wait for an async listener; " +
+               "preventDefault() and stopPropagation() after the await come too late",
+    });
+  }
+
+  if (fn) {
+    getSharedStateNames(awaitNode, fn, driver).forEach(name => {
+      rv.push({
+        kind: "shared-state",
+        message: `this.${name} is read before the await and written after it; ` +
+                 "other code may change it in between",
+      });
+    });
+  }
+
+  return rv;
+}
+
+/**
+ * Check if a function listens for events:  el.addEventListener("x", fn),
+ * emitter.on("x", this.handle), el.onclick = fn.
+ * @private
+ */
+function isEventListener(fn, driver) {
+  const resolver = driver.calleeResolver;
+  const isListenerCall = (node, value) => {
+    return node && (node.type === "CallExpression") &&
+           node.arguments.includes(value) &&
+           (node.callee.type === "MemberExpression") &&
+           listenerMethods.includes(resolver.getPropertyName(node.callee));
+  };
+
+  const parent = driver.nodeToParent.get(fn);
+  if (isListenerCall(parent, fn))
+    return true;
+
+  // el.onclick = function() { ... };
+  if (parent && (parent.type === "AssignmentExpression") && (parent.right === fn) &&
+      (parent.left.type === "MemberExpression"))
+  {
+    const name = resolver.getPropertyName(parent.left);
+    if (name && /^on[a-z]/.test(name))
+      return true;
+  }
+
+  // Listeners we pass by name.
+  const references = driver.valueReferencesByName.get(driver.getNodeName(fn)) || [];
+  return references.some(reference => {
+    return isListenerCall(driver.nodeToParent.get(reference), reference) &&
+           (resolver.resolve(reference, fn) === MATCH);
+  });
+}
+
+/**
+ * Get the names of this.x members a function reads before an await node and
+ * writes after it.
+ * @private
+ */
+function getSharedStateNames(awaitNode, fn, driver) {
+  const awaitEnd = awaitNode.range[1];
+  const readNames = new Set(), rv = new Set();
+
+  const members = Array.from(driver.memberNodesInScope.get(fn) || []).map(
+    property => driver.nodeToParent.get(property)
+  ).filter(member => !member.computed);
+  members.forEach(member => {
+    const parent = driver.nodeToParent.get(member);
+    const isPlainWrite = parent && (parent.type === "AssignmentExpression") &&
+                         (parent.left === member) && (parent.operator === "=");
+    if (!isPlainWrite && (member.range[0] < awaitEnd))
+      readNames.add(driver.getNodeName(member));
+  });
+
+  members.forEach(member => {
+    const parent = driver.nodeToParent.get(member);
+    const isWrite = parent &&
+      (((parent.type === "AssignmentExpression") && (parent.left === member)) ||
+       (parent.type === "UpdateExpression"));
+
+    // this.x = this.x + await y(); writes after the await.
+    const name = driver.getNodeName(member);
+    if (isWrite && (parent.range[1] > awaitEnd) && readNames.has(name))
+      rv.add(name);
+  });
+
+  return Array.from(rv);
+}
+
+module.exports = {
+  getAwaitRisks,
+};
@@ -0,0 +1,792 @@
+"use strict";
+
+/**
+ * @fileoverview
+ *
+ * The JSDriver finds candidate await nodes by their local name.  That alone
+ * matches B.b() against A.b, so this module decides whether a candidate's
+ * callee can actually be the async function.
+ *
+ * It works on "values":  what an expression can evaluate to, as far as we can
+ * tell statically.  A value is one of:
+ *   - an AST node for an object literal, a function or a class,
+ *   - an instance marker for a constructor (see instanceValue()),
+ *   - a module namespace, exports or module marker (see moduleGraph.js and
+ *     commonJSGraph.js),
+ *   - the unknown symbol, when we can't tell.
+ *
+ * Identifiers resolve through the eslint-scope variables the JSDriver collects,
+ * and parameters through the arguments of the calls we found (see
+ * valueFlow.js).  "this" resolves through the object, prototype or class the
+ * enclosing function belongs to.
+ *
+ * "super" resolves through the class hierarchy (see classHierarchy.js), and
+ * so do methods a subclass inherits.
+ *
+ * Indirect calls, a.call(), a.apply(), Reflect.apply(a, ...) and
+ * Reflect.construct(a, ...), may reach the async function through a as well
+ * as through a's own call() or apply() method, so we check both.
+ */
+
+/**
+ * @private
+ */
+const unknown = Symbol("unknown value");
+
+const MATCH = "match";
+const MISMATCH = "mismatch";
+const UNRESOLVED = "unresolved";
+
+function isFunctionNode(node) {
+  return node.type.includes("Function");
+}
+
+function isClassNode(node) {
+  return (node.type === "ClassDeclaration") || (node.type === "ClassExpression");
+}
+
+// A.prototype
+function isPrototypeMember(node) {
+  return node.type === "MemberExpression" &&
+         node.property.type === "Identifier" &&
+         node.property.name === "prototype";
+}
+
+// The node "this" and "super" refer to the surroundings of.
+function isThisBoundary(node) {
+  return (isFunctionNode(node) && (node.type !== "ArrowFunctionExpression")) ||
+         (node.type === "PropertyDefinition") ||
+         (node.type === "StaticBlock");
+}
+
+// a = b, and a ??= b, a ||= b, a &&= b, which may assign b too.
+function isValueAssignment(node) {
+  return (node.type === "AssignmentExpression") &&
+         ["=", "??=", "||=", "&&="].includes(node.operator);
+}
+
+function isStaticMember(node) {
+  return (node.type === "StaticBlock") || Boolean(node.static);
+}
+
+// Reflect.apply, Reflect.construct
+function isReflectMember(node) {
+  return (node.object.type === "Identifier") && (node.object.name === "Reflect");
+}
+
+// [a, b], or null if node isn't an array literal
+function getArrayElements(node) {
+  return (node && (node.type === "ArrayExpression")) ? node.elements : null;
+}
+
+/**
+ * The callee resolver.
+ * @param {JSDriver} driver The driver which parsed the sources.
+ *
+ * @constructor
+ */
+function CalleeResolver(driver) {
+  /**
+   * @private
+   */
+  this.driver = driver;
+
+  /**
+   * @private
+   */
+  this.instanceValues = new Map(/*
+    constructor node: { instanceOf: constructor node }
+  */);
+
+  /**
+   * @private
+   */
+  this.pendingMethodLookups = [/* { value, name } */];
+}
+
+CalleeResolver.prototype = {
+  /**
+   * Determine whether a candidate await node can reach an async function.
+   *
+   * @param {Node} candidate A node referencing the async function's name.
+   * @param {Node} asyncNode The async function.
+   *
+   * @public
+   * @returns {string} "match", "mismatch" or "unresolved".
+   */
+  resolve: function(candidate, asyncNode) {
+    const callee = this.getCallee(candidate);
+    if (!callee)
+      return MISMATCH;
+
+    // a.call(), where a may be the async function, or have a call() method.
+    const resolutions = [this.resolveCallee(callee, asyncNode)];
+    const indirectCallee = this.getIndirectCallee(candidate);
+    if (indirectCallee)
+      resolutions.push(this.resolveCallee(indirectCallee, asyncNode));
+
+    if (resolutions.includes(MATCH))
+      return MATCH;
+    return resolutions.includes(UNRESOLVED) ? UNRESOLVED : MISMATCH;
+  },
+
+  /**
+   * Determine whether an expression can evaluate to an async function.
+   *
+   * @param {Node} callee    The expression a call invokes, or a reference reads.
+   * @param {Node} asyncNode The async function.
+   *
+   * @public
+   * @returns {string} "match", "mismatch" or "unresolved".
+   */
+  resolveCallee: function(callee, asyncNode) {
+    // (a?.b)()
+    if (callee.type === "ChainExpression")
+      callee = callee.expression;
+
+    // a(), super()
+    if ((callee.type === "Identifier") || (callee.type === "Super")) {
+      const values = this.getValues(callee);
+      const ctor = this.getCanonicalConstructor(asyncNode);
+      if (values.has(asyncNode) || values.has(ctor))
+        return MATCH;
+      return values.has(unknown) ? UNRESOLVED : MISMATCH;
+    }
+
+    if (callee.type === "MemberExpression") {
+      const name = this.getPropertyName(callee);
+      if (name === null)
+        return UNRESOLVED;
+
+      const owners = this.getOwnerValues(asyncNode);
+      const receivers = this.getValues(callee.object);
+      if (Array.from(receivers).some(r => (r !== unknown) && owners.has(r)))
+        return MATCH;
+
+      // Subclass instances inherit methods they don't override.
+      if (Array.from(receivers).some(r => this.getInheritedMethodValues(r, name).has(asyncNode)))
+        return MATCH;
+
+      if (Array.from(receivers).some(r => this.hasMembers(r) && this.getMemberValues(r, name).has(asyncNode)))
+        return MATCH;
+      if (owners.has(unknown) || receivers.has(unknown))
+        return UNRESOLVED;
+      return MISMATCH;
+    }
+
+    return UNRESOLVED;
+  },
+
+  /**
+   * Get the expression a candidate node invokes or reads.
+   * @param {Node} candidate
+   *
+   * @private
+   * @returns {Node?} The callee, or null if the candidate isn't a reference.
+   */
+  getCallee: function(candidate) {
+    switch (candidate.type) {
+      case "CallExpression":
+      case "NewExpression":
+        return candidate.callee;
+      case "MemberExpression":
+        return candidate;
+      case "Identifier": {
+        // this.x, as the constructor's memberNodesInScope records it
+        const parent = this.driver.nodeToParent.get(candidate);
+        if (parent && (parent.type === "MemberExpression") && (parent.property === candidate))
+          return parent;
+        return candidate;
+      }
+    }
+
+    // Declarations and the like aren't references.
+    return null;
+  },
+
+  /**
+   * Get the function expression an indirect call invokes:  a in a.call(),
+   * a.apply(), Reflect.apply(a, ...) and Reflect.construct(a, ...).
+   * @param {Node} node
+   *
+   * @public
+   * @returns {Node?} The expression, or null if the node isn't an indirect call.
+   */
+  getIndirectCallee: function(node) {
+    if ((node.type !== "CallExpression") || (node.callee.type !== "MemberExpression"))
+      return null;
+
+    const name = this.getPropertyName(node.callee);
+    if (isReflectMember(node.callee))
+      return ((name === "apply") || (name === "construct")) ? (node.arguments[0] || null) : null;
+    if ((name === "call") || (name === "apply"))
+      return node.callee.object;
+    return null;
+  },
+
+  /**
+   * Get the arguments an indirect call passes to the function it invokes.
+   * @param {Node} node The indirect call.
+   *
+   * @public
+   * @returns {Node[]?} The arguments, or null if we can't tell what they are.
+   */
+  getIndirectArguments: function(node) {
+    const name = this.getPropertyName(node.callee);
+
+    // Reflect.apply(a, thisArg, [b, c]), Reflect.construct(A, [b, c])
+    if (isReflectMember(node.callee))
+      return getArrayElements(node.arguments[(name === "apply") ? 2 : 1]);
+
+    // a.call(thisArg, b, c)
+    if (name === "call")
+      return node.arguments.slice(1);
+
+    // a.apply(thisArg, [b, c])
+    return getArrayElements(node.arguments[1]);
+  },
+
+  /**
+   * Report whether a call binds a function:  a.bind(thisArg).
+   * @param {Node} node
+   *
+   * @public
+   * @returns {boolean}
+   */
+  isBindCall: function(node) {
+    return (node.type === "CallExpression") &&
+           (node.callee.type === "MemberExpression") &&
+           (this.getPropertyName(node.callee) === "bind");
+  },
+
+  /**
+   * Get the names a function may be called by, beyond its own name.
+   * @param {Node} asyncNode The function.
+   *
+   * @public
+   * @returns {Set} The names.
+   */
+  getAliasNames: function(asyncNode) {
+    return this.unionValues([
+      this.driver.moduleGraph.getAliasNames(asyncNode, this),
+      this.driver.commonJSGraph.getAliasNames(asyncNode, this),
+    ]);
+  },
+
+  /**
+   * Get the name of a member expression's property.
+   * @param {MemberExpression} node
+   *
+   * @public
+   * @returns {string?} The name, or null for computed properties we can't evaluate.
+   */
+  getPropertyName: function(node) {
+    // this.#b
+    if (node.property.type === "PrivateIdentifier")
+      return "#" + node.property.name;
+    if (!node.computed)
+      return node.property.name;
+    if ((node.property.type === "Literal") && (typeof node.property.value === "string"))
+      return node.property.value;
+    return null;
+  },
+
+  /**
+   * Get the name of an object literal's or object pattern's property.
+   * @param {Property} node
+   *
+   * @public
+   * @returns {string?} The name, or null for computed keys we can't evaluate.
+   */
+  getKeyName: function(node) {
+    if (node.key.type === "PrivateIdentifier")
+      return "#" + node.key.name;
+    if (!node.computed && (node.key.type === "Identifier"))
+      return node.key.name;
+    if ((node.key.type === "Literal") && (typeof node.key.value === "string"))
+      return node.key.value;
+    return null;
+  },
+
+  /**
+   * Report whether we know the members of a value.
+   * @param {*} value
+   *
+   * @private
+   * @returns {boolean}
+   */
+  hasMembers: function(value) {
+    if (value === unknown)
+      return false;
+    return this.driver.moduleGraph.isNamespace(value) ||
+           this.driver.commonJSGraph.hasMembers(value) ||
+           (value.type === "ObjectExpression");
+  },
+
+  /**
+   * Get the possible values of a value's member.
+   * @param {*}      value   The value holding the member.
+   * @param {string} name    The member name.
+   * @param {Set}    visited Variables we've already walked through.
+   *
+   * @private
+   * @returns {Set} The values.
+   */
+  getMemberValues: function(value, name, visited = new Set()) {
+    if (!this.hasMembers(value)) {
+      // this.b, where b is a method of the instance's prototype or class
+      const methods = this.getInheritedMethodValues(value, name);
+      return methods.size ? methods : new Set([unknown]);
+    }
+
+    if (this.driver.moduleGraph.isNamespace(value))
+      return this.driver.moduleGraph.getNamespaceMemberValues(value, name, this);
+
+    if (this.driver.commonJSGraph.hasMembers(value))
+      return this.driver.commonJSGraph.getMemberValues(value, name, this, visited);
+
+    // { a: b }, the property may be added or replaced later.
+    if (value.properties.some(p => p.type !== "Property"))
+      return new Set([unknown]);
+    const property = value.properties.find(p => this.getKeyName(p) === name);
+    if (!property || (property.kind !== "init"))
+      return new Set([unknown]);
+    return this.getValues(property.value, visited);
+  },
+
+  /**
+   * Get the methods of an instance, or the static methods of a constructor, by
+   * name, from the nearest prototype or class in the hierarchy defining them.
+   * @param {*}      value The instance or constructor value.
+   * @param {string} name  The method name.
+   *
+   * @private
+   * @returns {Set} The function nodes.
+   */
+  getInheritedMethodValues: function(value, name) {
+    if (value === unknown)
+      return new Set();
+
+    const ancestors = this.driver.classHierarchy.getAncestorValues(value);
+    for (let i = 0; i < ancestors.length; i++) {
+      const methods = this.getMethodValues(ancestors[i], name);
+      if (methods.size)
+        return methods;
+    }
+    return new Set();
+  },
+
+  /**
+   * Get the methods of an instance, or the static methods of a constructor, by name.
+   * @param {*}      value The instance or constructor value.
+   * @param {string} name  The method name.
+   *
+   * @public
+   * @returns {Set} The function nodes.
+   */
+  getMethodValues: function(value, name) {
+    const rv = new Set();
+    if ((value === unknown) ||
+        !(("instanceOf" in value) || (value.type && (isFunctionNode(value) || isClassNode(value)))))
+      return rv;
+
+    // Finding the owners of a method may need this same lookup.
+    const key = { value, name };
+    if (this.pendingMethodLookups.some(k => (k.value === value) && (k.name === name)))
+      return rv;
+    this.pendingMethodLookups.push(key);
+
+    this.driver.functionNodes.forEach(fn => {
+      if ((this.driver.getNodeName(fn) === name) && this.getOwnerValues(fn).has(value))
+        rv.add(fn);
+    });
+
+    this.pendingMethodLookups.pop();
+    return rv;
+  },
+
+  /**
+   * Get the possible values of an expression.
+   * @param {Node} node    The expression.
+   * @param {Set}  visited Variables we've already walked through.
+   *
+   * @public
+   * @returns {Set} The values.
+   */
+  getValues: function(node, visited = new Set()) {
+    switch (node.type) {
+      case "ObjectExpression":
+      case "FunctionDeclaration":
+      case "FunctionExpression":
+      case "ArrowFunctionExpression":
+      case "ClassDeclaration":
+      case "ClassExpression":
+        return new Set([node]);
+
+      case "ThisExpression":
+        return this.getThisValues(node);
+
+      case "Super":
+        return this.getSuperValues(node);
+
+      case "Identifier":
+        return this.getIdentifierValues(node, visited);
+
+      case "NewExpression":
+        return this.mapValues(
+          this.getValues(node.callee, visited),
+          v => this.instanceValue(v)
+        );
+
+      case "CallExpression":
+        // require("./foo")
+        if (this.driver.commonJSGraph.isRequireCall(node))
+          return this.driver.commonJSGraph.getRequireValues(node, this, visited);
+
+        // a.bind(thisArg) calls a when something calls it.
+        if (this.isBindCall(node))
+          return this.getValues(node.callee.object, visited);
+        break;
+
+      case "MemberExpression": {
+        if (isPrototypeMember(node)) {
+          return this.mapValues(
+            this.getValues(node.object, visited),
+            v => this.instanceValue(v)
+          );
+        }
+
+        // ns.foo, exports.foo, { foo }.foo
+        const name = this.getPropertyName(node);
+        if (name === null)
+          break;
+        return this.unionValues(Array.from(this.getValues(node.object, visited)).map(
+          r => this.getMemberValues(r, name, visited)
+        ));
+      }
+
+      case "AssignmentExpression":
+        if (node.operator === "=")
+          return this.getValues(node.right, visited);
+        // a ??= b may keep a.
+        if (isValueAssignment(node))
+          return this.unionValues([
+            this.getValues(node.left, visited),
+            this.getValues(node.right, visited),
+          ]);
+        break;
+
+      case "ChainExpression":
+        // a?.b, a?.()
+        return this.getValues(node.expression, visited);
+
+      case "SequenceExpression":
+        return this.getValues(node.expressions[node.expressions.length - 1], visited);
+
+      case "ConditionalExpression":
+        return this.unionValues([
+          this.getValues(node.consequent, visited),
+          this.getValues(node.alternate, visited),
+        ]);
+
+      case "LogicalExpression":
+        return this.unionValues([
+          this.getValues(node.left, visited),
+          this.getValues(node.right, visited),
+        ]);
+    }
+
+    return new Set([unknown]);
+  },
+
+  /**
+   * Get the possible values of an identifier from its variable.
+   * @param {Identifier} identifier
+   * @param {Set}        visited    Variables we've already walked through.
+   *
+   * @private
+   * @returns {Set} The values.
+   */
+  getIdentifierValues: function(identifier, visited) {
+    const variable = this.findVariable(identifier);
+    if (variable)
+      return this.getVariableValues(variable, visited);
+
+    // module and exports in CommonJS modules
+    return this.driver.commonJSGraph.getFreeVariableValues(identifier) || new Set([unknown]);
+  },
+
+  /**
+   * Get the possible values of a variable from its definitions and assignments.
+   * @param {Variable} variable The eslint-scope variable.
+   * @param {Set}      visited  Variables we've already walked through.
+   *
+   * @public
+   * @returns {Set} The values.
+   */
+  getVariableValues: function(variable, visited) {
+    if (visited.has(variable))
+      return new Set();
+    visited.add(variable);
+
+    const valueSets = variable.defs.map(def => {
+      switch (def.type) {
+        case "FunctionName":
+        case "ClassName":
+          return new Set([def.node]);
+
+        case "Variable":
+          // let x; doesn't tell us anything.
+          if (!def.node.init)
+            return new Set();
+          if (def.node.id === def.name)
+            return this.getValues(def.node.init, visited);
+          return this.getDestructuredValues(def.node, def.name, visited);
+
+        case "ImportBinding":
+          if (this.driver.moduleGraph.isImportBinding(def.name))
+            return this.driver.moduleGraph.getImportValues(def.name, this, visited);
+          break;
+
+        case "Parameter":
+          // function run(fn) { fn(); } run(a);
+          return this.driver.valueFlow.getParameterValues(def, visited);
+      }
+      return new Set([unknown]);
+    });
+
+    // x = y;, x ??= y;
+    variable.references.forEach(ref => {
+      if (!ref.writeExpr || ref.init)
+        return;
+      const parent = this.driver.nodeToParent.get(ref.identifier);
+      if (ref.partial || !parent || !isValueAssignment(parent)) {
+        valueSets.push(new Set([unknown]));
+        return;
+      }
+      valueSets.push(this.getValues(ref.writeExpr, visited));
+    });
+
+    return this.unionValues(valueSets);
+  },
+
+  /**
+   * Get the possible values of an identifier an object pattern declares.
+   * @param {VariableDeclarator} declarator The declaration.
+   * @param {Identifier}         identifier The declared name.
+   * @param {Set}                visited    Variables we've already walked through.
+   *
+   * @private
+   * @returns {Set} The values.
+   */
+  getDestructuredValues: function(declarator, identifier, visited) {
+    // const { a, b: c } = d;, but not nested patterns or defaults
+    if (declarator.id.type !== "ObjectPattern")
+      return new Set([unknown]);
+    const property = declarator.id.properties.find(p => p.value === identifier);
+    const name = property ? this.getKeyName(property) : null;
+    if (name === null)
+      return new Set([unknown]);
+
+    return this.unionValues(Array.from(this.getValues(declarator.init, visited)).map(
+      v => this.getMemberValues(v, name, visited)
+    ));
+  },
+
+  /**
+   * Find the eslint-scope variable an identifier refers to.
+   * @param {Identifier} identifier
+   *
+   * @public
+   * @returns {Variable?}
+   */
+  findVariable: function(identifier) {
+    const ref = this.driver.identifierToReference.get(identifier);
+    if (ref && ref.resolved)
+      return ref.resolved;
+
+    // Global references are left unresolved in scripts, so we look them up.
+    let scope = ref ? ref.from : this.driver.nodeToScope.get(identifier);
+    while (scope && !scope.set.has(identifier.name))
+      scope = scope.upper;
+    return scope ? scope.set.get(identifier.name) : null;
+  },
+
+  /**
+   * Get the possible values of "this" at a node.
+   * @param {Node} node The ThisExpression.
+   *
+   * @private
+   * @returns {Set} The values.
+   */
+  getThisValues: function(node) {
+    let fn = this.driver.nodeToParent.get(node);
+    while (fn && !isThisBoundary(fn))
+      fn = this.driver.nodeToParent.get(fn);
+    if (!fn)
+      return new Set([unknown]);
+
+    // class A { b = () => this.c(); static { this.d(); } }
+    if (!isFunctionNode(fn)) {
+      const classNode = this.driver.nodeToParent.get(this.driver.nodeToParent.get(fn));
+      return new Set([isStaticMember(fn) ? classNode : this.instanceValue(classNode)]);
+    }
+
+    const parent = this.driver.nodeToParent.get(fn);
+    if (parent && (parent.type === "MethodDefinition") && (parent.kind === "constructor"))
+      return new Set([this.instanceValue(fn)]);
+
+    const owners = this.getOwnerValues(fn);
+    if (owners.size)
+      return owners;
+
+    if (this.driver.constructorFunctions.has(fn))
+      return new Set([this.instanceValue(fn)]);
+    return new Set([unknown]);
+  },
+
+  /**
+   * Get the possible values of "super" at a node.
+   * @param {Node} node The Super node.
+   *
+   * @private
+   * @returns {Set} The values.
+   */
+  getSuperValues: function(node) {
+    let fn = this.driver.nodeToParent.get(node);
+    while (fn && !isThisBoundary(fn))
+      fn = this.driver.nodeToParent.get(fn);
+    const member = fn && (isFunctionNode(fn) ? this.driver.nodeToParent.get(fn) : fn);
+    if (!member || !["MethodDefinition", "PropertyDefinition", "StaticBlock"].includes(member.type))
+      return new Set([unknown]);
+
+    // super() calls the base constructor, super.b() reaches the base prototype
+    // or, in static members, the base class.
+    const classNode = this.driver.nodeToParent.get(this.driver.nodeToParent.get(member));
+    const parent = this.driver.nodeToParent.get(node);
+    const isStatic = isStaticMember(member) ||
+                     ((parent.type === "CallExpression") && (parent.callee === node));
+    const value = isStatic ? classNode : this.instanceValue(classNode);
+
+    const rv = this.driver.classHierarchy.getParentValues(value);
+    return rv.size ? rv : new Set([unknown]);
+  },
+
+  /**
+   * Get the values a function is a member of.
+   * @param {Node} fn The function node.
+   *
+   * @public
+   * @returns {Set} The owner values, empty if the function isn't a member of anything.
+   */
+  getOwnerValues: function(fn) {
+    const parent = this.driver.nodeToParent.get(fn);
+    if (!parent)
+      return new Set();
+
+    // A = { b: function() {} };
+    if ((parent.type === "Property") && (parent.value === fn)) {
+      return this.getObjectLiteralValues(this.driver.nodeToParent.get(parent));
+    }
+
+    // A.b = function() {};
+    if ((parent.type === "AssignmentExpression") &&
+        (parent.right === fn) &&
+        (parent.left.type === "MemberExpression"))
+    {
+      return this.getValues(parent.left.object);
+    }
+
+    // class A { b() {} }
+    if (parent.type === "MethodDefinition") {
+      if (parent.kind === "constructor")
+        return new Set();
+      const classNode = this.driver.nodeToParent.get(this.driver.nodeToParent.get(parent));
+      return new Set([parent.static ? classNode : this.instanceValue(classNode)]);
+    }
+
+    // class A { b = () => {}; }
+    if ((parent.type === "PropertyDefinition") && (parent.value === fn)) {
+      const classNode = this.driver.nodeToParent.get(this.driver.nodeToParent.get(parent));
+      return new Set([parent.static ? classNode : this.instanceValue(classNode)]);
+    }
+
+    return new Set();
+  },
+
+  /**
+   * Get the values an object literal represents.
+   * @param {ObjectExpression} objectNode
+   *
+   * @private
+   * @returns {Set} The values.
+   */
+  getObjectLiteralValues: function(objectNode) {
+    const parent = this.driver.nodeToParent.get(objectNode);
+
+    // A.prototype = { ... };
+    if (parent &&
+        (parent.type === "AssignmentExpression") &&
+        (parent.right === objectNode) &&
+        isPrototypeMember(parent.left))
+    {
+      return this.getValues(parent.left);
+    }
+
+    return new Set([objectNode]);
+  },
+
+  /**
+   * Get the node we identify a constructor by.
+   * @param {Node} node A function or class node.
+   *
+   * @public
+   * @returns {Node} The class node for class constructors, else the node itself.
+   */
+  getCanonicalConstructor: function(node) {
+    const parent = this.driver.nodeToParent.get(node);
+    if (parent && (parent.type === "MethodDefinition") && (parent.kind === "constructor"))
+      return this.driver.nodeToParent.get(this.driver.nodeToParent.get(parent));
+    return node;
+  },
+
+  /**
+   * Get the value representing instances of a constructor.
+   * @param {Node|Symbol} ctor The constructor's value.
+   *
+   * @public
+   * @returns {Object|Symbol} The instance value.
+   */
+  instanceValue: function(ctor) {
+    if ((ctor === unknown) || !(isFunctionNode(ctor) || isClassNode(ctor)))
+      return unknown;
+
+    ctor = this.getCanonicalConstructor(ctor);
+    if (!this.instanceValues.has(ctor))
+      this.instanceValues.set(ctor, Object.freeze({ instanceOf: ctor }));
+    return this.instanceValues.get(ctor);
+  },
+
+  /**
+   * @private
+   */
+  mapValues: function(values, callback) {
+    return new Set(Array.from(values).map(callback));
+  },
+
+  /**
+   * @public
+   */
+  unionValues: function(valueSets) {
+    const rv = new Set();
+    valueSets.forEach(values => values.forEach(v => rv.add(v)));
+    return rv;
+  },
+};
+
+CalleeResolver.MATCH = MATCH;
+CalleeResolver.MISMATCH = MISMATCH;
+CalleeResolver.UNRESOLVED = UNRESOLVED;
+CalleeResolver.unknown = unknown;
+
+module.exports = CalleeResolver;
@@ -0,0 +1,221 @@
+"use strict";
+
+/**
+ * @fileoverview
+ *
+ * When Base#load becomes async, subclasses which override load() must become
+ * async too, and super.load() calls in subclasses need an await.  This module
+ * records which constructors and prototypes inherit from which, through:
+ *
+ *   - class Sub extends Base { ... }
+ *   - Sub.prototype = Object.create(Base.prototype);
+ *   - Object.setPrototypeOf(Sub.prototype, Base.prototype);
+ *   - Object.setPrototypeOf(Sub, Base);
+ *
+ * It works on CalleeResolver values:  instance markers for prototypes, and
+ * class or function nodes for the constructors themselves (static members).
+ */
+
+const { unknown } = require("./calleeResolver");
+
+function isConstructorValue(value) {
+  return (value !== unknown) &&
+         (value.type !== undefined) &&
+         (value.type.includes("Function") || value.type.startsWith("Class"));
+}
+
+// Object.create(...), Object.setPrototypeOf(...)
+function isObjectMethodCall(node, name) {
+  return (node.type === "CallExpression") &&
+         (node.callee.type === "MemberExpression") &&
+         !node.callee.computed &&
+         (node.callee.object.type === "Identifier") &&
+         (node.callee.object.name === "Object") &&
+         (node.callee.property.name === name);
+}
+
+/**
+ * The class hierarchy.
+ * @param {JSDriver} driver The driver which parsed the sources.
+ *
+ * @constructor
+ */
+function ClassHierarchy(driver) {
+  /**
+   * @private
+   */
+  this.driver = driver;
+
+  /**
+   * @private
+   */
+  this.classNodes = [/* class node with a superClass */];
+
+  /**
+   * @private
+   */
+  this.prototypeLinks = [/* { child: Node, parent: Node } */];
+
+  /**
+   * @private
+   */
+  this.parentValues = null; // new Map(value: Set(value))
+
+  /**
+   * @private
+   */
+  this.childValues = null; // new Map(value: Set(value))
+}
+
+ClassHierarchy.prototype = {
+  /**
+   * Record the inheritance a node declares, if any.
+   * @param {Node} node
+   *
+   * @public
+   */
+  addNode: function(node) {
+    // class Sub extends Base {}
+    if (((node.type === "ClassDeclaration") || (node.type === "ClassExpression")) && node.superClass) {
+      this.classNodes.push(node);
+      return;
+    }
+
+    // Sub.prototype = Object.create(Base.prototype);
+    if ((node.type === "AssignmentExpression") &&
+        (node.operator === "=") &&
+        isObjectMethodCall(node.right, "create") &&
+        node.right.arguments.length)
+    {
+      this.prototypeLinks.push({ child: node.left, parent: node.right.arguments[0] });
+      return;
+    }
+
+    // Object.setPrototypeOf(Sub.prototype, Base.prototype);
+    if (isObjectMethodCall(node, "setPrototypeOf") && (node.arguments.length === 2)) {
+      this.prototypeLinks.push({ child: node.arguments[0], parent: node.arguments[1] });
+    }
+  },
+
+  /**
+   * Get the values a value inherits from directly.
+   * @param {*} value An instance marker or constructor value.
+   *
+   * @public
+   * @returns {Set} The parent values.
+   */
+  getParentValues: function(value) {
+    this.buildGraph();
+    return this.parentValues.get(value) || new Set();
+  },
+
+  /**
+   * Get a value and the values it inherits from, nearest first.
+   * @param {*} value An instance marker or constructor value.
+   *
+   * @public
+   * @returns {Array} The values.
+   */
+  getAncestorValues: function(value) {
+    this.buildGraph();
+    return this.walk(value, this.parentValues);
+  },
+
+  /**
+   * Get the values which inherit from a value, directly or indirectly.
+   * @param {*} value An instance marker or constructor value.
+   *
+   * @public
+   * @returns {Array} The values, not including the value itself.
+   */
+  getDescendantValues: function(value) {
+    this.buildGraph();
+    return this.walk(value, this.childValues).slice(1);
+  },
+
+  /**
+   * Get the methods which override a method in subclasses.
+   * @param {Node} fn The method.
+   *
+   * @public
+   * @returns {Node[]} The overriding methods.
+   */
+  getOverridingMethods: function(fn) {
+    const resolver = this.driver.calleeResolver;
+    const name = this.driver.getNodeName(fn);
+    const rv = [];
+    resolver.getOwnerValues(fn).forEach(owner => {
+      if (owner === unknown)
+        return;
+      this.getDescendantValues(owner).forEach(descendant => {
+        resolver.getMethodValues(descendant, name).forEach(method => {
+          if (!rv.includes(method))
+            rv.push(method);
+        });
+      });
+    });
+    return rv;
+  },
+
+  /**
+   * Walk the graph breadth-first from a value.
+   * @private
+   */
+  walk: function(value, edges) {
+    const rv = [value];
+    for (let i = 0; i < rv.length; i++) {
+      (edges.get(rv[i]) || new Set()).forEach(next => {
+        if (!rv.includes(next))
+          rv.push(next);
+      });
+    }
+    return rv;
+  },
+
+  /**
+   * Evaluate the inheritance we recorded.  We wait until we need it, so every
+   * source is already parsed.
+   * @private
+   */
+  buildGraph: function() {
+    if (this.parentValues)
+      return;
+    this.parentValues = new Map();
+    this.childValues = new Map();
+
+    const resolver = this.driver.calleeResolver;
+    this.classNodes.forEach(classNode => {
+      resolver.getValues(classNode.superClass).forEach(parent => {
+        if (!isConstructorValue(parent))
+          return;
+        this.addEdge(resolver.getCanonicalConstructor(classNode), resolver.getCanonicalConstructor(parent));
+        this.addEdge(resolver.instanceValue(classNode), resolver.instanceValue(parent));
+      });
+    });
+
+    this.prototypeLinks.forEach(({child, parent}) => {
+      const parents = Array.from(resolver.getValues(parent)).filter(v => v !== unknown);
+      resolver.getValues(child).forEach(childValue => {
+        if (childValue === unknown)
+          return;
+        parents.forEach(parentValue => this.addEdge(childValue, parentValue));
+      });
+    });
+  },
+
+  /**
+   * @private
+   */
+  addEdge: function(child, parent) {
+    if (child === parent)
+      return;
+    if (!this.parentValues.has(child))
+      this.parentValues.set(child, new Set());
+    this.parentValues.get(child).add(parent);
+    if (!this.childValues.has(parent))
+      this.childValues.set(parent, new Set());
+    this.childValues.get(parent).add(child);
+  },
+};
+
+module.exports = ClassHierarchy;
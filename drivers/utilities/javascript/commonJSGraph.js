@@ -0,0 +1,378 @@
+"use strict";
+
+/**
+ * @fileoverview
+ *
+ * When the JSDriver parses its sources as CommonJS modules, this records what
+ * each module assigns to module.exports and exports.*, and which calls are
+ * require() calls of other modules.  The CalleeResolver uses it so that
+ *
+ *   const x = require("./x");
+ *   x.foo();
+ *
+ * resolves to whatever ./x.js exports as foo.
+ *
+ * Values this module introduces:
+ *   - { exportsOf: pathToFile }, the original exports object of a module.
+ *   - { moduleOf: pathToFile }, the module object of a module.
+ */
+
+const { traverse } = require("./traverse");
+const { unknown } = require("./calleeResolver");
+const { getSpecifierCandidates } = require("./specifiers");
+
+/**
+ * The file extensions we try for a require() specifier.
+ * @private
+ */
+const specifierSuffixes = ["", ".js", ".cjs", "/index.js"];
+
+// require("./x")
+function isRequireShape(node) {
+  return (node.type === "CallExpression") &&
+         (node.callee.type === "Identifier") &&
+         (node.callee.name === "require") &&
+         (node.arguments.length === 1) &&
+         (node.arguments[0].type === "Literal") &&
+         (typeof node.arguments[0].value === "string");
+}
+
+/**
+ * The CommonJS require/exports graph.
+ * @param {JSDriver} driver The driver which parsed the modules.
+ *
+ * @constructor
+ */
+function CommonJSGraph(driver) {
+  /**
+   * @private
+   */
+  this.driver = driver;
+
+  /**
+   * @private
+   */
+  this.modules = new Map(/*
+    pathToFile: {
+      pathToFile,
+      exportMembers: Map(name: value Node[]), exports.foo = ...; module.exports.foo = ...;
+      exportAssignments: value Node[], module.exports = ...;
+    }
+  */);
+
+  /**
+   * @private
+   */
+  this.requireCalls = new WeakMap(/*
+    CallExpression: { pathToFile, specifier }
+  */);
+
+  /**
+   * Identifiers a declaration initializes from a require() call.
+   * @private
+   */
+  this.requireBindings = [];
+
+  /**
+   * @private
+   */
+  this.exportsValues = new Map(/* pathToFile: { exportsOf: pathToFile } */);
+
+  /**
+   * @private
+   */
+  this.moduleValues = new Map(/* pathToFile: { moduleOf: pathToFile } */);
+
+  /**
+   * @private
+   */
+  this.aliasNamesCache = new WeakMap(/* async node: Set(name) */);
+}
+
+/**
+ * Find the module specifiers a module passes to require().
+ * @param {Program} ast The module's AST.
+ *
+ * @public
+ * @returns {string[]} The specifiers, in source order.
+ */
+CommonJSGraph.findRequireSpecifiers = function(ast) {
+  const rv = [];
+  traverse(ast, {
+    enter: (node) => {
+      if (isRequireShape(node))
+        rv.push(node.arguments[0].value);
+    }
+  });
+  return rv;
+};
+
+CommonJSGraph.specifierSuffixes = specifierSuffixes;
+
+CommonJSGraph.prototype = {
+  /**
+   * Record the require() calls and exports of a module.
+   * @param {string}  pathToFile The relative path to the module.
+   * @param {Program} ast        The module's AST, after the driver's first pass.
+   *
+   * @public
+   */
+  addModule: function(pathToFile, ast) {
+    const moduleData = {
+      pathToFile,
+      exportMembers: new Map(),
+      exportAssignments: [],
+    };
+    this.modules.set(pathToFile, moduleData);
+
+    traverse(ast, {
+      enter: (node) => {
+        if (isRequireShape(node) && this.isFreeIdentifier(node.callee)) {
+          this.requireCalls.set(node, {
+            pathToFile,
+            specifier: node.arguments[0].value,
+          });
+        }
+        else if ((node.type === "AssignmentExpression") &&
+                 (node.operator === "=") &&
+                 (node.left.type === "MemberExpression"))
+        {
+          this.addExportAssignment(moduleData, node.left, node.right);
+        }
+        else if ((node.type === "VariableDeclarator") && node.init) {
+          this.addRequireBinding(node);
+        }
+      }
+    });
+  },
+
+  /**
+   * @private
+   */
+  addExportAssignment: function(moduleData, target, value) {
+    const name = this.driver.calleeResolver.getPropertyName(target);
+    if (name === null)
+      return;
+
+    // module.exports = ...;
+    if (this.isModuleObject(target.object) && (name === "exports")) {
+      moduleData.exportAssignments.push(value);
+      return;
+    }
+
+    // exports.foo = ...; module.exports.foo = ...;
+    if (this.isExportsObject(target.object)) {
+      if (!moduleData.exportMembers.has(name))
+        moduleData.exportMembers.set(name, []);
+      moduleData.exportMembers.get(name).push(value);
+    }
+  },
+
+  /**
+   * @private
+   */
+  addRequireBinding: function(declarator) {
+    // const x = require("./x"); const y = require("./x").y;
+    let init = declarator.init;
+    if (init.type === "MemberExpression")
+      init = init.object;
+    if (!isRequireShape(init))
+      return;
+
+    if (declarator.id.type === "Identifier") {
+      this.requireBindings.push(declarator.id);
+    }
+    else if (declarator.id.type === "ObjectPattern") {
+      // const { a, b: c } = require("./x");
+      declarator.id.properties.forEach(property => {
+        if ((property.type === "Property") && (property.value.type === "Identifier"))
+          this.requireBindings.push(property.value);
+      });
+    }
+  },
+
+  /**
+   * @private
+   */
+  isFreeIdentifier: function(node, name) {
+    return (node.type === "Identifier") &&
+           ((name === undefined) || (node.name === name)) &&
+           !this.driver.calleeResolver.findVariable(node);
+  },
+
+  /**
+   * @private
+   */
+  isModuleObject: function(node) {
+    return this.isFreeIdentifier(node, "module");
+  },
+
+  /**
+   * @private
+   */
+  isExportsObject: function(node) {
+    if (this.isFreeIdentifier(node, "exports"))
+      return true;
+    return (node.type === "MemberExpression") &&
+           this.isModuleObject(node.object) &&
+           (this.driver.calleeResolver.getPropertyName(node) === "exports");
+  },
+
+  /**
+   * Find the module a require() specifier refers to.
+   * @param {string} fromPath  The requiring module.
+   * @param {string} specifier The module specifier.
+   *
+   * @private
+   * @returns {Object?} The module data, or null if we didn't parse that module.
+   */
+  getModule: function(fromPath, specifier) {
+    const candidates = getSpecifierCandidates(fromPath, specifier, specifierSuffixes);
+    const target = candidates.find(c => this.modules.has(c));
+    return target ? this.modules.get(target) : null;
+  },
+
+  /**
+   * Report whether a node is a call to require() we recorded.
+   * @param {Node} node
+   *
+   * @public
+   * @returns {boolean}
+   */
+  isRequireCall: function(node) {
+    return this.requireCalls.has(node);
+  },
+
+  /**
+   * Get the possible values of a require() call.
+   * @param {CallExpression} node     The require() call.
+   * @param {CalleeResolver} resolver The resolver to evaluate exported values with.
+   * @param {Set}            visited  Variables we've already walked through.
+   *
+   * @public
+   * @returns {Set} The values.
+   */
+  getRequireValues: function(node, resolver, visited) {
+    const {pathToFile, specifier} = this.requireCalls.get(node);
+    const moduleData = this.getModule(pathToFile, specifier);
+    if (!moduleData)
+      return new Set([unknown]);
+    return this.getModuleExportsValues(moduleData, resolver, visited);
+  },
+
+  /**
+   * Get the possible values of module.exports for a module.
+   * @private
+   */
+  getModuleExportsValues: function(moduleData, resolver, visited) {
+    return resolver.unionValues([
+      new Set([this.getMarker(this.exportsValues, "exportsOf", moduleData.pathToFile)]),
+    ].concat(moduleData.exportAssignments.map(value => resolver.getValues(value, visited))));
+  },
+
+  /**
+   * Get the values of the module and exports free variables in a module.
+   * @param {Identifier} identifier An identifier with no variable in scope.
+   *
+   * @public
+   * @returns {Set?} The values, or null if the identifier isn't special.
+   */
+  getFreeVariableValues: function(identifier) {
+    if (!this.modules.has(identifier.file))
+      return null;
+    if (identifier.name === "exports")
+      return new Set([this.getMarker(this.exportsValues, "exportsOf", identifier.file)]);
+    if (identifier.name === "module")
+      return new Set([this.getMarker(this.moduleValues, "moduleOf", identifier.file)]);
+    return null;
+  },
+
+  /**
+   * Report whether we can look up members of a value.
+   * @param {*} value
+   *
+   * @public
+   * @returns {boolean}
+   */
+  hasMembers: function(value) {
+    return Boolean(value) &&
+           (typeof value === "object") &&
+           (("exportsOf" in value) || ("moduleOf" in value));
+  },
+
+  /**
+   * Get the possible values of a member of an exports or module object.
+   * @param {Object}         value    The exports or module value.
+   * @param {string}         name     The member name.
+   * @param {CalleeResolver} resolver The resolver to evaluate exported values with.
+   * @param {Set}            visited  Variables we've already walked through.
+   *
+   * @public
+   * @returns {Set} The values.
+   */
+  getMemberValues: function(value, name, resolver, visited) {
+    if ("moduleOf" in value) {
+      if (name !== "exports")
+        return new Set([unknown]);
+      return this.getModuleExportsValues(this.modules.get(value.moduleOf), resolver, visited);
+    }
+
+    const members = this.modules.get(value.exportsOf).exportMembers.get(name) || [];
+    return resolver.unionValues(members.map(member => resolver.getValues(member, visited)));
+  },
+
+  /**
+   * Get the names other modules may use to reach an async node:  the names it's
+   * exported under, and the local names require() results are bound to.
+   *
+   * @param {Node}           asyncNode The async node.
+   * @param {CalleeResolver} resolver  The resolver to evaluate exported values with.
+   *
+   * @public
+   * @returns {Set} The names.
+   */
+  getAliasNames: function(asyncNode, resolver) {
+    if (this.aliasNamesCache.has(asyncNode))
+      return this.aliasNamesCache.get(asyncNode);
+
+    const rv = new Set();
+    this.modules.forEach(moduleData => {
+      moduleData.exportMembers.forEach((values, name) => {
+        if (values.some(value => resolver.getValues(value).has(asyncNode)))
+          rv.add(name);
+      });
+
+      // module.exports = { name: asyncNode };
+      moduleData.exportAssignments.forEach(value => {
+        if (value.type !== "ObjectExpression")
+          return;
+        value.properties.forEach(property => {
+          if (property.type !== "Property")
+            return;
+          const name = resolver.getKeyName(property);
+          if ((name !== null) && resolver.getValues(property.value).has(asyncNode))
+            rv.add(name);
+        });
+      });
+    });
+
+    this.requireBindings.forEach(identifier => {
+      if (resolver.getValues(identifier).has(asyncNode))
+        rv.add(identifier.name);
+    });
+
+    this.aliasNamesCache.set(asyncNode, rv);
+    return rv;
+  },
+
+  /**
+   * @private
+   */
+  getMarker: function(map, key, pathToFile) {
+    if (!map.has(pathToFile))
+      map.set(pathToFile, Object.freeze({ [key]: pathToFile }));
+    return map.get(pathToFile);
+  },
+};
+
+module.exports = CommonJSGraph;
@@ -0,0 +1,254 @@
+"use strict";
+
+/**
+ * @fileoverview
+ *
+ * When a generator becomes an async generator, or a [Symbol.iterator]()
+ * method becomes async, the code which calls it doesn't need an await.  The
+ * code which iterates over what it returns has to change instead:
+ *
+ *   - for (const x of gen()) needs for await...of,
+ *   - [...gen()] and const [a, b] = gen(); throw, since an async iterator
+ *     isn't iterable,
+ *   - Array.from(gen()) needs await Array.fromAsync(gen()),
+ *   - yield* gen(); needs an async generator around it.
+ *
+ * This module finds those iteration sites.  The [Symbol.iterator]() method
+ * itself must become [Symbol.asyncIterator](), too.
+ */
+
+const { unknown } = require("./calleeResolver");
+
+/**
+ * How to fix each kind of iteration site.
+ * @private
+ */
+const suggestions = new Map([
+  ["for-await", "use for await...of"],
+  ["spread", "spreading an async iterator throws; collect it with for await...of"],
+  ["array-from", "use await Array.fromAsync()"],
+  ["yield-delegation", "yield* of an async iterator needs an async generator"],
+  ["destructuring", "destructuring an async iterator throws; collect it with for await...of"],
+]);
+
+// Array.from(x)
+function isArrayFromCall(node) {
+  return (node.type === "CallExpression") &&
+         (node.callee.type === "MemberExpression") &&
+         !node.callee.computed &&
+         (node.callee.object.type === "Identifier") &&
+         (node.callee.object.name === "Array") &&
+         (node.callee.property.name === "from");
+}
+
+/**
+ * The iteration site tracker.
+ * @param {JSDriver} driver The driver which parsed the sources.
+ *
+ * @constructor
+ */
+function IteratorConsumers(driver) {
+  /**
+   * @private
+   */
+  this.driver = driver;
+
+  /**
+   * @private
+   */
+  this.sites = [/* nodes which may iterate over an expression */];
+}
+
+const siteTypes = [
+  "ForOfStatement",
+  "SpreadElement",
+  "CallExpression",
+  "YieldExpression",
+  "VariableDeclarator",
+  "AssignmentExpression",
+];
+
+IteratorConsumers.prototype = {
+  /**
+   * Record a node which may iterate over an expression.  We decide if it
+   * does later, when we know which function encloses it.
+   * @param {Node} node
+   *
+   * @public
+   */
+  addNode: function(node) {
+    if (siteTypes.includes(node.type))
+      this.sites.push(node);
+  },
+
+  /**
+   * Check if marking a function async turns what it returns into an async
+   * iterator.
+   * @param {Node} fn The function node.
+   *
+   * @public
+   * @returns {boolean}
+   */
+  isIteratorSource: function(fn) {
+    return Boolean(fn.generator) || this.isIteratorMethod(fn);
+  },
+
+  /**
+   * Check if a function is a [Symbol.iterator]() method.
+   * @param {Node} fn The function node.
+   *
+   * @public
+   * @returns {boolean}
+   */
+  isIteratorMethod: function(fn) {
+    const parent = this.driver.nodeToParent.get(fn);
+    if (!parent || !parent.computed || (parent.value !== fn) ||
+        ((parent.type !== "MethodDefinition") && (parent.type !== "Property")))
+      return false;
+
+    const key = parent.key;
+    return (key.type === "MemberExpression") &&
+           !key.computed &&
+           (key.object.type === "Identifier") &&
+           (key.object.name === "Symbol") &&
+           (key.property.name === "iterator");
+  },
+
+  /**
+   * Get the iteration sites which must change when a function becomes async.
+   * @param {Node}   fn        The generator or [Symbol.iterator]() method.
+   * @param {Node[]} callNodes The calls to the function, from getAwaitNodes().
+   *
+   * @public
+   * @returns {Object} {
+   *   consumers: [{ iterationNode, fixType }],
+   *   unresolved: calls whose iterator we can't follow,
+   * }
+   */
+  getConsumers: function(fn, callNodes) {
+    const rv = { consumers: [], unresolved: [] };
+
+    // for (const x of gen())
+    callNodes.forEach(callNode => {
+      const consumer = this.getConsumer(callNode);
+      if (consumer)
+        rv.consumers.push(consumer);
+      else if (callNode.type === "CallExpression")
+        rv.unresolved.push(callNode);
+    });
+
+    // for (const x of bag), where bag has the [Symbol.iterator]() method
+    if (this.isIteratorMethod(fn)) {
+      const owners = this.getIterableValues(fn);
+      this.sites.forEach(site => {
+        const iterable = this.getIteratedExpression(site);
+        if (!iterable)
+          return;
+        const values = this.driver.calleeResolver.getValues(iterable);
+        if (!owners.some(owner => values.has(owner)))
+          return;
+        const consumer = this.getConsumer(iterable);
+        if (consumer)
+          rv.consumers.push(consumer);
+      });
+    }
+
+    return rv;
+  },
+
+  /**
+   * Get the values a [Symbol.iterator]() method makes iterable, including
+   * instances of subclasses.
+   * @private
+   */
+  getIterableValues: function(fn) {
+    const rv = [];
+    this.driver.calleeResolver.getOwnerValues(fn).forEach(owner => {
+      if (owner === unknown)
+        return;
+      rv.push(owner);
+      this.driver.classHierarchy.getDescendantValues(owner).forEach(v => rv.push(v));
+    });
+    return rv;
+  },
+
+  /**
+   * Classify how code iterates over an expression.
+   * @param {Node} iterable The expression.
+   *
+   * @private
+   * @returns {Object?} { iterationNode, fixType }, or null if code doesn't
+   *                    iterate over it synchronously.
+   */
+  getConsumer: function(iterable) {
+    const parent = this.driver.nodeToParent.get(iterable);
+    if (!parent || (this.getIteratedExpression(parent) !== iterable))
+      return null;
+
+    switch (parent.type) {
+      case "ForOfStatement":
+        return { iterationNode: parent, fixType: "for-await" };
+      case "SpreadElement":
+        return { iterationNode: parent, fixType: "spread" };
+      case "CallExpression":
+        return { iterationNode: parent, fixType: "array-from" };
+      case "YieldExpression":
+        return { iterationNode: parent, fixType: "yield-delegation" };
+      case "VariableDeclarator":
+        return { iterationNode: parent.id, fixType: "destructuring" };
+      case "AssignmentExpression":
+        return { iterationNode: parent.left, fixType: "destructuring" };
+    }
+    return null;
+  },
+
+  /**
+   * Get the expression a node iterates over synchronously.
+   * @param {Node} node
+   *
+   * @private
+   * @returns {Node?} The expression, or null if the node isn't an iteration site.
+   */
+  getIteratedExpression: function(node) {
+    switch (node.type) {
+      case "ForOfStatement":
+        // for await (const x of gen()) already works.
+        return node.await ? null : node.right;
+
+      case "SpreadElement": {
+        // { ...a } copies properties, it doesn't iterate.
+        const parent = this.driver.nodeToParent.get(node);
+        return (parent && (parent.type === "ObjectExpression")) ? null : node.argument;
+      }
+
+      case "CallExpression":
+        return (isArrayFromCall(node) && node.arguments.length) ? node.arguments[0] : null;
+
+      case "YieldExpression": {
+        // yield* in an async generator takes async iterators already.
+        const fn = this.driver.nodeToEnclosingFunction.get(node);
+        return (node.delegate && node.argument && fn && !fn.async) ? node.argument : null;
+      }
+
+      case "VariableDeclarator":
+        return ((node.id.type === "ArrayPattern") && node.init) ? node.init : null;
+
+      case "AssignmentExpression":
+        return (node.left.type === "ArrayPattern") ? node.right : null;
+    }
+    return null;
+  },
+};
+
+/**
+ * Suggest a fix for an iteration site.
+ * @param {string} fixType The fix type from getConsumers().
+ *
+ * @public
+ * @returns {string} The suggestion.
+ */
+IteratorConsumers.getSuggestion = function(fixType) {
+  return suggestions.get(fixType);
+};
+
+module.exports = IteratorConsumers;
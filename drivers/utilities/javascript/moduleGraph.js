@@ -0,0 +1,416 @@
+"use strict";
+
+/**
+ * @fileoverview
+ *
+ * When the JSDriver parses its sources as ECMAScript modules, this records the
+ * import and export bindings of each module, so the CalleeResolver can follow
+ * an imported name back to the declaration it came from.  That includes
+ * renamed imports and exports, re-exports, namespace imports and default
+ * exports.
+ */
+
+const { unknown } = require("./calleeResolver");
+const { getSpecifierCandidates } = require("./specifiers");
+
+/**
+ * The file extensions we try when an import specifier doesn't name a file we parsed.
+ * @private
+ */
+const specifierSuffixes = ["", ".js", ".mjs", "/index.js", "/index.mjs"];
+
+/**
+ * Get the name an import or export specifier uses:  an identifier, or a string
+ * literal as in export { a as "b-c" }.
+ * @private
+ */
+function getModuleExportName(node) {
+  return (node.type === "Identifier") ? node.name : node.value;
+}
+
+/**
+ * The import/export graph.
+ * @param {JSDriver} driver The driver which parsed the modules.
+ *
+ * @constructor
+ */
+function ModuleGraph(driver) {
+  /**
+   * @private
+   */
+  this.driver = driver;
+
+  /**
+   * @private
+   */
+  this.modules = new Map(/*
+    pathToFile: {
+      pathToFile,
+      exports: Map(exported name: {
+        localName?: string, local binding in this module
+        valueNode?: Node, export default <expression>;
+        fromModule?: string, re-exported from another module
+        importedName?: string, the name in the other module, "*" for a namespace
+      }),
+      starExports: string[], export * from "...";
+      scope: the module scope
+    }
+  */);
+
+  /**
+   * @private
+   */
+  this.importBindings = new WeakMap(/*
+    local Identifier in an import specifier: {
+      pathToFile, the importing module
+      fromModule: string, the module specifier
+      importedName: string, "default" or "*" for namespace imports
+    }
+  */);
+
+  /**
+   * All the local Identifiers import specifiers declare.
+   * @private
+   */
+  this.importIdentifiers = [];
+
+  /**
+   * @private
+   */
+  this.namespaceValues = new Map(/* pathToFile: { namespaceOf: pathToFile } */);
+
+  /**
+   * @private
+   */
+  this.aliasNamesCache = new WeakMap(/* async node: Set(name) */);
+}
+
+ModuleGraph.prototype = {
+  /**
+   * Record the imports and exports of a module.
+   * @param {string}       pathToFile   The relative path to the module.
+   * @param {Program}      ast          The module's AST.
+   * @param {ScopeManager} scopeManager The module's eslint-scope manager.
+   *
+   * @public
+   */
+  addModule: function(pathToFile, ast, scopeManager) {
+    const moduleData = {
+      pathToFile,
+      exports: new Map(),
+      starExports: [],
+      scope: scopeManager.acquire(ast, true),
+    };
+    this.modules.set(pathToFile, moduleData);
+
+    ast.body.forEach(statement => {
+      switch (statement.type) {
+        case "ImportDeclaration":
+          this.addImport(moduleData, statement);
+          break;
+
+        case "ExportNamedDeclaration":
+          this.addNamedExport(moduleData, statement);
+          break;
+
+        case "ExportDefaultDeclaration": {
+          const declaration = statement.declaration;
+          if (declaration.id)
+            moduleData.exports.set("default", { localName: declaration.id.name });
+          else
+            moduleData.exports.set("default", { valueNode: declaration });
+          break;
+        }
+
+        case "ExportAllDeclaration":
+          if (statement.exported) {
+            moduleData.exports.set(getModuleExportName(statement.exported), {
+              fromModule: statement.source.value,
+              importedName: "*",
+            });
+          }
+          else {
+            moduleData.starExports.push(statement.source.value);
+          }
+          break;
+      }
+    });
+  },
+
+  /**
+   * @private
+   */
+  addImport: function(moduleData, statement) {
+    statement.specifiers.forEach(specifier => {
+      let importedName = "*";
+      if (specifier.type === "ImportDefaultSpecifier")
+        importedName = "default";
+      else if (specifier.type === "ImportSpecifier")
+        importedName = getModuleExportName(specifier.imported);
+
+      this.importBindings.set(specifier.local, {
+        pathToFile: moduleData.pathToFile,
+        fromModule: statement.source.value,
+        importedName,
+      });
+      this.importIdentifiers.push(specifier.local);
+    });
+  },
+
+  /**
+   * @private
+   */
+  addNamedExport: function(moduleData, statement) {
+    // export function foo() {}, export const a = 1, b = 2;
+    const declaration = statement.declaration;
+    if (declaration) {
+      if (declaration.type === "VariableDeclaration") {
+        declaration.declarations.forEach(declarator => {
+          if (declarator.id.type === "Identifier")
+            moduleData.exports.set(declarator.id.name, { localName: declarator.id.name });
+        });
+      }
+      else {
+        moduleData.exports.set(declaration.id.name, { localName: declaration.id.name });
+      }
+      return;
+    }
+
+    // export { a as b }, export { a as b } from "./c.js";
+    statement.specifiers.forEach(specifier => {
+      if (statement.source) {
+        moduleData.exports.set(getModuleExportName(specifier.exported), {
+          fromModule: statement.source.value,
+          importedName: getModuleExportName(specifier.local),
+        });
+      }
+      else {
+        moduleData.exports.set(getModuleExportName(specifier.exported), { localName: specifier.local.name });
+      }
+    });
+  },
+
+  /**
+   * Find the module a specifier refers to.
+   * @param {string} fromPath  The importing module.
+   * @param {string} specifier The module specifier.
+   *
+   * @private
+   * @returns {Object?} The module data, or null if we didn't parse that module.
+   */
+  getModule: function(fromPath, specifier) {
+    const candidates = getSpecifierCandidates(fromPath, specifier, specifierSuffixes);
+    const target = candidates.find(c => this.modules.has(c));
+    return target ? this.modules.get(target) : null;
+  },
+
+  /**
+   * Report whether an identifier is the local binding of an import.
+   * @param {Identifier} identifier
+   *
+   * @public
+   * @returns {boolean}
+   */
+  isImportBinding: function(identifier) {
+    return this.importBindings.has(identifier);
+  },
+
+  /**
+   * Get the possible values of an import binding.
+   * @param {Identifier}     identifier The local name in the import specifier.
+   * @param {CalleeResolver} resolver   The resolver to evaluate exported values with.
+   * @param {Set}            visited    Variables we've already walked through.
+   *
+   * @public
+   * @returns {Set} The values.
+   */
+  getImportValues: function(identifier, resolver, visited) {
+    const binding = this.importBindings.get(identifier);
+    const moduleData = this.getModule(binding.pathToFile, binding.fromModule);
+    if (!moduleData)
+      return new Set([unknown]);
+
+    return this.getExportValues(moduleData, binding.importedName, resolver, visited);
+  },
+
+  /**
+   * Get the possible values of a module's export.
+   * @param {Object}         moduleData The module.
+   * @param {string}         name       The exported name, or "*" for the namespace.
+   * @param {CalleeResolver} resolver   The resolver to evaluate exported values with.
+   * @param {Set}            visited    Exports and variables we've already walked through.
+   *
+   * @public
+   * @returns {Set} The values.
+   */
+  getExportValues: function(moduleData, name, resolver, visited) {
+    if (name === "*")
+      return new Set([this.namespaceValue(moduleData)]);
+
+    const visitKey = moduleData.pathToFile + ":" + name;
+    if (visited.has(visitKey))
+      return new Set();
+    visited.add(visitKey);
+
+    const entry = moduleData.exports.get(name);
+    if (entry) {
+      if (entry.valueNode)
+        return resolver.getValues(entry.valueNode, visited);
+
+      if (entry.localName) {
+        const variable = moduleData.scope.set.get(entry.localName);
+        if (!variable)
+          return new Set([unknown]);
+        return resolver.getVariableValues(variable, visited);
+      }
+
+      const otherModule = this.getModule(moduleData.pathToFile, entry.fromModule);
+      if (!otherModule)
+        return new Set([unknown]);
+      return this.getExportValues(otherModule, entry.importedName, resolver, visited);
+    }
+
+    // export * from "./a.js"; never re-exports the default.
+    if (name === "default")
+      return new Set([unknown]);
+
+    const rv = new Set();
+    moduleData.starExports.forEach(specifier => {
+      const otherModule = this.getModule(moduleData.pathToFile, specifier);
+      if (!otherModule) {
+        rv.add(unknown);
+        return;
+      }
+      if (this.getExportNames(otherModule, new Set()).has(name)) {
+        this.getExportValues(otherModule, name, resolver, visited).forEach(v => rv.add(v));
+      }
+    });
+
+    return rv.size ? rv : new Set([unknown]);
+  },
+
+  /**
+   * Get the names a module exports, including its star exports.
+   * @param {Object} moduleData The module.
+   * @param {Set}    visited    Modules we've already walked through.
+   *
+   * @private
+   * @returns {Set} The names.
+   */
+  getExportNames: function(moduleData, visited) {
+    const rv = new Set();
+    if (visited.has(moduleData))
+      return rv;
+    visited.add(moduleData);
+
+    moduleData.exports.forEach((entry, name) => rv.add(name));
+    moduleData.starExports.forEach(specifier => {
+      const otherModule = this.getModule(moduleData.pathToFile, specifier);
+      if (!otherModule)
+        return;
+      this.getExportNames(otherModule, visited).forEach(name => {
+        if (name !== "default")
+          rv.add(name);
+      });
+    });
+
+    return rv;
+  },
+
+  /**
+   * Get the value representing a module namespace object.
+   * @param {Object} moduleData The module.
+   *
+   * @private
+   * @returns {Object} The namespace value.
+   */
+  namespaceValue: function(moduleData) {
+    if (!this.namespaceValues.has(moduleData.pathToFile)) {
+      this.namespaceValues.set(
+        moduleData.pathToFile,
+        Object.freeze({ namespaceOf: moduleData.pathToFile })
+      );
+    }
+    return this.namespaceValues.get(moduleData.pathToFile);
+  },
+
+  /**
+   * Get a namespace's member values.
+   * @param {Object}         namespace The namespace value.
+   * @param {string}         name      The member name.
+   * @param {CalleeResolver} resolver  The resolver to evaluate exported values with.
+   *
+   * @public
+   * @returns {Set} The values.
+   */
+  getNamespaceMemberValues: function(namespace, name, resolver) {
+    const moduleData = this.modules.get(namespace.namespaceOf);
+    return this.getExportValues(moduleData, name, resolver, new Set());
+  },
+
+  /**
+   * Report whether a value is a module namespace object.
+   * @param {*} value
+   *
+   * @public
+   * @returns {boolean}
+   */
+  isNamespace: function(value) {
+    return Boolean(value) && (typeof value === "object") && ("namespaceOf" in value);
+  },
+
+  /**
+   * Get the names a module exports a node of its own under, leaving out re-exports.
+   * @param {string}         pathToFile The module.
+   * @param {Node}           node       The exported node.
+   * @param {CalleeResolver} resolver   The resolver to evaluate exported values with.
+   *
+   * @public
+   * @returns {Set} The names.
+   */
+  getOwnExportNames: function(pathToFile, node, resolver) {
+    const rv = new Set();
+    const moduleData = this.modules.get(pathToFile);
+    if (!moduleData)
+      return rv;
+
+    moduleData.exports.forEach((entry, name) => {
+      if (!entry.fromModule && this.getExportValues(moduleData, name, resolver, new Set()).has(node))
+        rv.add(name);
+    });
+    return rv;
+  },
+
+  /**
+   * Get the names other modules may use to reach an async node:  export names
+   * (for namespace members) and the local names of imports.
+   *
+   * @param {Node}           asyncNode The async node.
+   * @param {CalleeResolver} resolver  The resolver to evaluate exported values with.
+   *
+   * @public
+   * @returns {Set} The names.
+   */
+  getAliasNames: function(asyncNode, resolver) {
+    if (this.aliasNamesCache.has(asyncNode))
+      return this.aliasNamesCache.get(asyncNode);
+
+    const rv = new Set();
+    this.modules.forEach(moduleData => {
+      this.getExportNames(moduleData, new Set()).forEach(name => {
+        if (this.getExportValues(moduleData, name, resolver, new Set()).has(asyncNode))
+          rv.add(name);
+      });
+    });
+
+    this.importIdentifiers.forEach(identifier => {
+      if (this.getImportValues(identifier, resolver, new Set()).has(asyncNode))
+        rv.add(identifier.name);
+    });
+
+    this.aliasNamesCache.set(asyncNode, rv);
+    return rv;
+  },
+};
+
+module.exports = ModuleGraph;
@@ -0,0 +1,242 @@
+"use strict";
+
+/**
+ * @fileoverview
+ *
+ * Line numbers go stale as soon as someone edits the file above a function,
+ * so configurations and the command line may also name the function to mark
+ * async.  This module works out the names each function goes by:
+ *
+ *   - "foo" for a function with no owner,
+ *   - "A.prototype.e" (or "A#e") for methods of A's instances, through
+ *     A.prototype.e = ..., A.prototype = { e: ... } or class A { e() {} },
+ *   - "A.b" for members of A, including static class methods,
+ *   - "A.prototype.#e" for private methods, and "A.prototype.f" for
+ *     functions in class fields, f = () => {},
+ *   - "A" for a class constructor,
+ *   - "module:foo" for a function a module declares at its top level or
+ *     exports as foo.
+ *
+ * The owners come from the CalleeResolver, so these names follow the same
+ * prototype and class bookkeeping the analysis itself does.
+ */
+
+const { unknown } = require("./calleeResolver");
+
+const LAMBDA = "(lambda)";
+
+function isFunctionNode(node) {
+  return node.type.includes("Function");
+}
+
+// "A#e" is "A.prototype.e", but "A.prototype.#e" names a private method.
+function normalizeName(qualifiedName) {
+  return qualifiedName.replace(/([^.])#/, "$1.prototype.");
+}
+
+/**
+ * The qualified name index.
+ * @param {JSDriver} driver The driver which parsed the sources.
+ *
+ * @constructor
+ */
+function QualifiedNames(driver) {
+  /**
+   * @private
+   */
+  this.driver = driver;
+
+  /**
+   * @private
+   */
+  this.namesCache = new WeakMap(/* function node: Set(qualified name) */);
+}
+
+QualifiedNames.prototype = {
+  /**
+   * Find the function nodes which go by a qualified name.
+   * @param {string}  qualifiedName The name.
+   * @param {string?} pathToFile    The relative path to the file the functions
+   *                                live in, to narrow the search.
+   *
+   * @public
+   * @returns {Node[]} The function nodes.
+   */
+  getCandidates: function(qualifiedName, pathToFile = null) {
+    const query = normalizeName(qualifiedName);
+    const isBareName = !/[.:]|.#/.test(qualifiedName);
+
+    return this.driver.functionNodes.filter(fn => {
+      if (pathToFile && (fn.file !== pathToFile))
+        return false;
+      if (this.getNames(fn).has(query))
+        return true;
+
+      // A bare name matches any function by that name, member or not.
+      return isBareName && (this.getOwnName(fn) === query);
+    });
+  },
+
+  /**
+   * Find a function node by its qualified name.
+   * @param {string}  qualifiedName The name.
+   * @param {string?} pathToFile    The relative path to the file the function
+   *                                lives in, to narrow the search.
+   *
+   * @public
+   * @returns {Node} The function node.
+   * @throws if no function, or more than one function, goes by that name.
+   */
+  find: function(qualifiedName, pathToFile = null) {
+    const candidates = this.getCandidates(qualifiedName, pathToFile);
+    if (candidates.length === 1)
+      return candidates[0];
+
+    const where = pathToFile ? ` in ${pathToFile}` : "";
+    if (!candidates.length)
+      throw new Error(`No function named ${qualifiedName}${where}`);
+
+    const list = candidates.map(fn => {
+      const names = Array.from(this.getNames(fn)).join(", ");
+      return `  ${this.driver.serializeNode(fn)}` + (names ? ` (${names})` : "");
+    });
+    throw new Error(
+      `Ambiguous function name ${qualifiedName}${where}, candidates:\n` + list.join("\n")
+    );
+  },
+
+  /**
+   * Get the qualified names a function goes by.
+   * @param {Node} fn The function node.
+   *
+   * @public
+   * @returns {Set} The names, without the "A#e" shorthand.
+   */
+  getNames: function(fn) {
+    if (this.namesCache.has(fn))
+      return this.namesCache.get(fn);
+
+    const rv = new Set();
+    const name = this.getOwnName(fn);
+    const resolver = this.driver.calleeResolver;
+
+    const parent = this.driver.nodeToParent.get(fn);
+    if (parent && (parent.type === "MethodDefinition") && (parent.kind === "constructor")) {
+      rv.add(name);
+    }
+    else if (name !== LAMBDA) {
+      const owners = resolver.getOwnerValues(fn);
+      owners.forEach(owner => {
+        const ownerName = this.getValueName(owner);
+        if (ownerName === "module")
+          rv.add("module:" + name);
+        else if (ownerName)
+          rv.add(ownerName + "." + name);
+      });
+
+      if (!owners.size) {
+        rv.add(name);
+        if (this.driver.nodeToScope.get(fn).block.type === "Program")
+          rv.add("module:" + name);
+      }
+    }
+
+    // export default function() {}, export { foo as bar };
+    this.driver.moduleGraph.getOwnExportNames(fn.file, fn, resolver).forEach(
+      exportName => rv.add("module:" + exportName)
+    );
+
+    this.namesCache.set(fn, rv);
+    return rv;
+  },
+
+  /**
+   * Get the name a function or class goes by on its own.
+   * @param {Node} node The function or class node.
+   *
+   * @private
+   * @returns {string} The name, or "(lambda)" for anonymous functions.
+   */
+  getOwnName: function(node) {
+    if (node.id)
+      return node.id.name;
+
+    // const foo = function() {};
+    const parent = this.driver.nodeToParent.get(node);
+    if (parent && (parent.type === "VariableDeclarator") && (parent.id.type === "Identifier"))
+      return parent.id.name;
+
+    return isFunctionNode(node) ? this.driver.getNodeName(node) : LAMBDA;
+  },
+
+  /**
+   * Get the name of a value a function belongs to.
+   * @param {*} value The owner value, from the CalleeResolver.
+   *
+   * @private
+   * @returns {string?} The name, "module" for a CommonJS module's exports,
+   *                    or null if we can't name the value.
+   */
+  getValueName: function(value) {
+    if (value === unknown)
+      return null;
+
+    if (this.driver.commonJSGraph.hasMembers(value))
+      return ("exportsOf" in value) ? "module" : null;
+
+    if ("instanceOf" in value) {
+      const ctorName = this.getValueName(value.instanceOf);
+      return ctorName && (ctorName + ".prototype");
+    }
+
+    if (value.type !== "ObjectExpression") {
+      // A function or a class
+      const name = this.getOwnName(value);
+      return (name === LAMBDA) ? null : name;
+    }
+
+    const parent = this.driver.nodeToParent.get(value);
+    if (!parent)
+      return null;
+
+    // const A = { ... };
+    if ((parent.type === "VariableDeclarator") && (parent.id.type === "Identifier"))
+      return parent.id.name;
+
+    // A.b = { ... }; module.exports = { ... };
+    if ((parent.type === "AssignmentExpression") && (parent.right === value)) {
+      const path = this.getExpressionPath(parent.left);
+      if (this.driver.isCommonJSMode() && ((path === "module.exports") || (path === "exports")))
+        return "module";
+      return path;
+    }
+
+    // A = { b: { ... } };
+    if ((parent.type === "Property") && (parent.value === value)) {
+      const ownerName = this.getValueName(this.driver.nodeToParent.get(parent));
+      const key = this.driver.calleeResolver.getKeyName(parent);
+      return (ownerName && (key !== null)) ? (ownerName + "." + key) : null;
+    }
+
+    return null;
+  },
+
+  /**
+   * Get the dotted path of an expression like A.b.c.
+   * @param {Node} node The expression.
+   *
+   * @private
+   * @returns {string?} The path, or null for other expressions.
+   */
+  getExpressionPath: function(node) {
+    if (node.type === "Identifier")
+      return node.name;
+    if ((node.type === "MemberExpression") && !node.computed) {
+      const objectPath = this.getExpressionPath(node.object);
+      return objectPath && (objectPath + "." + node.property.name);
+    }
+    return null;
+  },
+};
+
+module.exports = QualifiedNames;
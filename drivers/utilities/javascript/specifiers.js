@@ -0,0 +1,24 @@
+"use strict";
+
+const path = require("path").posix;
+
+/**
+ * List the files a relative module specifier may refer to, in the order we try them.
+ * @param {string}   fromPath  The relative path of the importing file.
+ * @param {string}   specifier The module specifier.
+ * @param {string[]} suffixes  The suffixes to try appending to the specifier.
+ *
+ * @returns {string[]} Paths relative to the root directory, or an empty array
+ *                     for bare specifiers ("fs", "lodash").
+ */
+function getSpecifierCandidates(fromPath, specifier, suffixes) {
+  if (!specifier.startsWith("./") && !specifier.startsWith("../"))
+    return [];
+
+  const target = path.join(path.dirname(fromPath), specifier);
+  return suffixes.map(suffix => target + suffix);
+}
+
+module.exports = {
+  getSpecifierCandidates,
+};
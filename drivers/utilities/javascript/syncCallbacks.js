@@ -0,0 +1,61 @@
+"use strict";
+
+/**
+ * @fileoverview
+ *
+ * Array.prototype.forEach() and its relatives call their callbacks
+ * synchronously, and ignore (or misuse) what the callbacks return.  When a
+ * callback like that becomes async, marking the forEach() call await doesn't
+ * help:  forEach() returns before the callbacks finish.  The caller has to
+ * rewrite the call instead, so the JSDriver reports these as hazards and
+ * stops walking the stack there.
+ */
+
+/**
+ * The synchronous higher-order methods we know about, and how to rewrite a
+ * call to each when its callback becomes async.
+ * @private
+ */
+const suggestions = new Map([
+  ["forEach", "use a for...of loop and await each call"],
+  ["map", "await Promise.all(array.map(async ...))"],
+  ["filter", "await Promise.all() for the results first, then filter on them"],
+  ["reduce", "use a for...of loop with an awaited accumulator"],
+  ["sort", "await Promise.all() for the sort keys first, then sort on them"],
+  ["find", "use a for...of loop and await each call"],
+  ["some", "use a for...of loop and await each call"],
+  ["every", "use a for...of loop and await each call"],
+]);
+
+/**
+ * The suggestion for methods a configuration adds.
+ * @private
+ */
+const defaultSuggestion = "use a for...of loop, or await Promise.all()";
+
+/**
+ * The synchronous higher-order method names.
+ * @param {string[]} extraMethods Other method names to treat the same way.
+ *
+ * @public
+ * @returns {Set} The names.
+ */
+function getSyncCallbackMethods(extraMethods = []) {
+  return new Set(Array.from(suggestions.keys()).concat(extraMethods));
+}
+
+/**
+ * Suggest a rewrite for a call to a synchronous higher-order method.
+ * @param {string} methodName The method's name.
+ *
+ * @public
+ * @returns {string} The suggested pattern.
+ */
+function getSuggestion(methodName) {
+  return suggestions.get(methodName) || defaultSuggestion;
+}
+
+module.exports = {
+  getSyncCallbackMethods,
+  getSuggestion,
+};
@@ -0,0 +1,29 @@
+"use strict";
+
+/**
+ * @fileoverview
+ *
+ * estraverse doesn't know every node type espree produces (class static
+ * blocks, for one), and throws on the ones it doesn't.  So we walk the trees
+ * with espree's own visitor keys.
+ */
+
+const espree = require("espree");
+const estraverse = require("estraverse");
+
+/**
+ * Walk an AST.
+ * @param {Node}   ast     The root node.
+ * @param {Object} visitor The enter and leave listeners.
+ *
+ * @public
+ */
+function traverse(ast, visitor) {
+  estraverse.traverse(ast, {
+    enter: visitor.enter,
+    leave: visitor.leave,
+    keys: espree.VisitorKeys,
+  });
+}
+
+module.exports = { traverse };
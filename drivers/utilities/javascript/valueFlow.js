@@ -0,0 +1,275 @@
+"use strict";
+
+/**
+ * @fileoverview
+ *
+ * An async function doesn't only reach its callers through its own name.
+ * Code passes it around as a value:  handlers(fn), setTimeout(this.e, 0),
+ * const run = fn;, and then calls it by another name.  This module follows
+ * those values:
+ *
+ *   - into the parameters of functions we parsed, so the CalleeResolver can
+ *     tell a call to the parameter inside the receiving function calls the
+ *     async function,
+ *   - into variables, through declarations and assignments,
+ *   - out of our sources entirely, into calls we can't resolve, such as
+ *     setTimeout() or emitter.on().  The JSDriver reports those.
+ */
+
+const { unknown, MATCH } = require("./calleeResolver");
+
+function isFunctionNode(node) {
+  return node.type.includes("Function");
+}
+
+/**
+ * The value flow tracker.
+ * @param {JSDriver} driver The driver which parsed the sources.
+ *
+ * @constructor
+ */
+function ValueFlow(driver) {
+  /**
+   * @private
+   */
+  this.driver = driver;
+
+  /**
+   * @private
+   */
+  this.flowCache = new WeakMap(/*
+    async node: {
+      names: Set(name), the parameters and variables the function flows into
+      escapes: [{ reference, callNode }], values passed to calls we can't resolve
+    }
+  */);
+
+  /**
+   * @private
+   */
+  this.callSitesCache = new WeakMap(/* function node: CallExpression[] */);
+
+  /**
+   * Functions whose call sites we're looking up, to break cycles.
+   * @private
+   */
+  this.pendingFunctions = new Set(/* function node */);
+}
+
+ValueFlow.prototype = {
+  /**
+   * Find the parameters and variables an async function flows into as a value.
+   * @param {Node} asyncNode The async function.
+   *
+   * @public
+   * @returns {Object} { names, escapes }
+   */
+  getValueFlow: function(asyncNode) {
+    if (this.flowCache.has(asyncNode))
+      return this.flowCache.get(asyncNode);
+
+    const resolver = this.driver.calleeResolver;
+    const rv = { names: new Set(), escapes: [] };
+
+    const pendingNames = [this.driver.getNodeName(asyncNode)];
+    resolver.getAliasNames(asyncNode).forEach(name => pendingNames.push(name));
+    const visitedNames = new Set(pendingNames);
+    const addName = name => {
+      rv.names.add(name);
+      if (visitedNames.has(name))
+        return;
+      visitedNames.add(name);
+      pendingNames.push(name);
+    };
+
+    for (let i = 0; i < pendingNames.length; i++) {
+      const references = this.driver.valueReferencesByName.get(pendingNames[i]) || [];
+      references.forEach(reference => {
+        // fn.bind(thisArg) is a value calling fn.
+        const valueNode = resolver.isBindCall(reference) ? reference.callee.object : reference;
+        if (resolver.resolve(valueNode, asyncNode) !== MATCH)
+          return;
+
+        const parent = this.driver.nodeToParent.get(reference);
+        switch (parent.type) {
+          case "CallExpression":
+          case "NewExpression": {
+            // Reflect.apply(fn, ...) calls fn, it doesn't pass it along.
+            if (resolver.getIndirectCallee(parent) === reference)
+              return;
+
+            // run(fn);, run.call(thisArg, fn);
+            const targets = this.getCallTargets(parent);
+            let isArgument = false;
+            targets.forEach(({fn, args}) => {
+              const index = args.indexOf(reference);
+              if (index === -1)
+                return;
+              isArgument = true;
+              const param = fn && fn.params[index];
+              if (param && (param.type === "Identifier"))
+                addName(param.name);
+            });
+
+            if (isArgument && targets.every(({fn}) => !fn))
+              rv.escapes.push({ reference, callNode: parent });
+            return;
+          }
+
+          case "VariableDeclarator":
+            // const run = fn;
+            if (parent.id.type === "Identifier")
+              addName(parent.id.name);
+            return;
+
+          case "AssignmentExpression":
+            // run = fn;
+            if (parent.left.type === "Identifier")
+              addName(parent.left.name);
+            return;
+        }
+      });
+    }
+
+    this.flowCache.set(asyncNode, rv);
+    return rv;
+  },
+
+  /**
+   * Get the functions we parsed which a call may invoke, with the arguments
+   * each receives.
+   * @param {Node} callNode The CallExpression or NewExpression.
+   *
+   * @private
+   * @returns {Object[]} [{ fn, args }], where fn is null for a call we can't
+   *                     resolve to a function we parsed.
+   */
+  getCallTargets: function(callNode) {
+    const resolver = this.driver.calleeResolver;
+    const calls = [{ callee: callNode.callee, args: callNode.arguments }];
+
+    // run.call(thisArg, fn), Reflect.apply(run, thisArg, [fn])
+    const indirectCallee = resolver.getIndirectCallee(callNode);
+    const indirectArgs = indirectCallee && resolver.getIndirectArguments(callNode);
+    if (indirectArgs)
+      calls.push({ callee: indirectCallee, args: indirectArgs });
+
+    const rv = [];
+    calls.forEach(({callee, args}) => {
+      const functions = this.getCalleeFunctions(callee);
+      if (!functions.length)
+        rv.push({ fn: null, args });
+      functions.forEach(fn => rv.push({ fn, args }));
+    });
+    return rv;
+  },
+
+  /**
+   * Get the functions we parsed which an expression may evaluate to.
+   * @param {Node} callee The expression.
+   *
+   * @private
+   * @returns {Node[]} The function nodes.
+   */
+  getCalleeFunctions: function(callee) {
+    const resolver = this.driver.calleeResolver;
+
+    const values = Array.from(resolver.getValues(callee));
+    const rv = values.filter(v => (v !== unknown) && isFunctionNode(v));
+    if (rv.length || (callee.type !== "MemberExpression"))
+      return rv;
+
+    // this.run(fn);, where run is a method we can only find through its owner.
+    const name = resolver.getPropertyName(callee);
+    if (name === null)
+      return rv;
+    return this.driver.functionNodes.filter(fn => {
+      return (this.driver.getNodeName(fn) === name) &&
+             (resolver.resolveCallee(callee, fn) === MATCH);
+    });
+  },
+
+  /**
+   * Get the possible values of a function's parameter from the arguments its
+   * call sites pass.
+   * @param {Definition} def     The eslint-scope definition of the parameter.
+   * @param {Set}        visited Variables we've already walked through.
+   *
+   * @public
+   * @returns {Set} The values, always including unknown for callers we can't see.
+   */
+  getParameterValues: function(def, visited) {
+    const rv = new Set([unknown]);
+    const fn = def.node;
+    const index = fn.params.indexOf(def.name);
+    if (index === -1)
+      return rv;
+
+    const resolver = this.driver.calleeResolver;
+    this.getCallSites(fn).forEach(callNode => {
+      const args = this.getArgumentsFor(callNode, fn);
+      const arg = args && args[index];
+      if (!arg || (arg.type === "SpreadElement"))
+        return;
+      resolver.getValues(arg, visited).forEach(v => rv.add(v));
+    });
+    return rv;
+  },
+
+  /**
+   * Get the arguments a call passes to a function.
+   * @param {Node} callNode The call.
+   * @param {Node} fn       The function the call invokes.
+   *
+   * @private
+   * @returns {Node[]?} The arguments, or null if we can't tell what they are.
+   */
+  getArgumentsFor: function(callNode, fn) {
+    const resolver = this.driver.calleeResolver;
+    const indirectCallee = resolver.getIndirectCallee(callNode);
+    if (indirectCallee && (resolver.resolveCallee(indirectCallee, fn) === MATCH))
+      return resolver.getIndirectArguments(callNode);
+    return callNode.arguments;
+  },
+
+  /**
+   * Get the calls we can tell invoke a function.
+   * @param {Node} fn The function node.
+   *
+   * @private
+   * @returns {Node[]} The CallExpressions.
+   */
+  getCallSites: function(fn) {
+    if (this.callSitesCache.has(fn))
+      return this.callSitesCache.get(fn);
+    if (this.pendingFunctions.has(fn))
+      return [];
+
+    const name = this.driver.getNodeName(fn);
+    if (name === "(lambda)")
+      return [];
+
+    const resolver = this.driver.calleeResolver;
+    const isOutermost = (this.pendingFunctions.size === 0);
+    this.pendingFunctions.add(fn);
+
+    const names = new Set([name]);
+    resolver.getAliasNames(fn).forEach(alias => names.add(alias));
+    let rv = [];
+    names.forEach(n => {
+      rv = rv.concat((this.driver.callsByName.get(n) || []).filter(callNode => {
+        return (callNode.type === "CallExpression") &&
+               (resolver.resolve(callNode, fn) === MATCH);
+      }));
+    });
+
+    this.pendingFunctions.delete(fn);
+
+    // Call sites we found while breaking a cycle may be incomplete.
+    if (isOutermost)
+      this.callSitesCache.set(fn, rv);
+    return rv;
+  },
+};
+
+module.exports = ValueFlow;
@@ -0,0 +1,158 @@
+"use strict";
+
+/**
+ * @fileoverview
+ *
+ * Whether a call needs an await depends on what the caller does with its
+ * result.  this.save(); may be fire-and-forget on purpose, but
+ * let x = this.compute(); gets a promise instead of the value it wants.  This
+ * module classifies how the code around an await node uses its value, so the
+ * serializers can show which await nodes break for certain.
+ */
+
+/**
+ * How the serializers describe each usage.
+ * @private
+ */
+const labels = new Map([
+  ["discarded", "result discarded"],
+  ["assigned", "result assigned"],
+  ["returned", "result returned"],
+  ["argument", "result passed as an argument"],
+  ["condition", "result used in a condition"],
+  ["arithmetic", "result used in arithmetic"],
+  ["other", "result used"],
+]);
+
+const comparisonOperators = [
+  "==", "!=", "===", "!==", "<", "<=", ">", ">=", "instanceof", "in",
+];
+
+/**
+ * Get the node whose value the code around a reference uses:  the call for a
+ * callee, and the member expression for this.x's x.
+ * @param {Node} node         The await node.
+ * @param {Map}  nodeToParent The JSDriver's map of nodes to their parents.
+ *
+ * @public
+ * @returns {Node}
+ */
+function getValueNode(node, nodeToParent) {
+  let parent = nodeToParent.get(node);
+  if (parent && (parent.type === "MemberExpression") && (parent.property === node)) {
+    node = parent;
+    parent = nodeToParent.get(node);
+  }
+  if (parent &&
+      ((parent.type === "CallExpression") || (parent.type === "NewExpression")) &&
+      (parent.callee === node))
+    node = parent;
+  return node;
+}
+
+/**
+ * Classify how code uses the value of an await node.
+ * @param {Node} awaitNode   The await node.
+ * @param {Map}  nodeToParent The JSDriver's map of nodes to their parents.
+ *
+ * @public
+ * @returns {string} "discarded", "assigned", "returned", "argument",
+ *                   "condition", "arithmetic" or "other".
+ */
+function getValueUsage(awaitNode, nodeToParent) {
+  let child = getValueNode(awaitNode, nodeToParent);
+  let parent = nodeToParent.get(child);
+
+  while (parent) {
+    switch (parent.type) {
+      // a?.b(), c ? a() : b, (b, a()), ...a()
+      case "ChainExpression":
+      case "SpreadElement":
+        break;
+
+      case "ConditionalExpression":
+        if (parent.test === child)
+          return "condition";
+        break;
+
+      case "SequenceExpression":
+        if (parent.expressions[parent.expressions.length - 1] !== child)
+          return "discarded";
+        break;
+
+      case "LogicalExpression":
+        if (parent.left === child)
+          return "condition";
+        break;
+
+      case "ExpressionStatement":
+        return "discarded";
+
+      case "VariableDeclarator":
+      case "Property":
+      case "PropertyDefinition":
+      case "AssignmentPattern":
+        return "assigned";
+
+      case "AssignmentExpression":
+        // x.y = 1; calls a setter, and the assignment's value is what's used.
+        if (parent.left === child)
+          break;
+        // x += a(); reads x, too.
+        return (parent.operator === "=") ? "assigned" : "arithmetic";
+
+      case "ReturnStatement":
+      case "YieldExpression":
+        return "returned";
+
+      case "ArrowFunctionExpression":
+        return (parent.body === child) ? "returned" : "other";
+
+      case "CallExpression":
+      case "NewExpression":
+        return parent.arguments.includes(child) ? "argument" : "other";
+
+      case "IfStatement":
+      case "WhileStatement":
+      case "DoWhileStatement":
+      case "ForStatement":
+        return (parent.test === child) ? "condition" : "other";
+
+      case "UnaryExpression":
+        if (parent.operator === "void")
+          return "discarded";
+        return (parent.operator === "!") ? "condition" : "arithmetic";
+
+      case "BinaryExpression":
+        return comparisonOperators.includes(parent.operator) ? "condition" : "arithmetic";
+
+      case "UpdateExpression":
+        return "arithmetic";
+
+      default:
+        return "other";
+    }
+
+    child = parent;
+    parent = nodeToParent.get(child);
+  }
+
+  return "other";
+}
+
+/**
+ * Describe a usage for a serializer.
+ * @param {string} usage The usage from getValueUsage().
+ *
+ * @public
+ * @returns {string} The description.
+ */
+function getUsageLabel(usage) {
+  return labels.get(usage);
+}
+
+module.exports = {
+  getValueNode,
+  getValueUsage,
+  getUsageLabel,
+};
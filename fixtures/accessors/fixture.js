@@ -0,0 +1,43 @@
+class Settings {
+  constructor(store) {
+    this.store = store;
+  }
+
+  load(key) {
+    return this.store[key];
+  }
+
+  save(key, value) {
+    this.store[key] = value;
+  }
+
+  get theme() {
+    return this.load("theme");
+  }
+
+  set theme(value) {
+    this.save("theme", value);
+  }
+
+  get #count() {
+    return this.load("count");
+  }
+
+  increment() {
+    return this.#count + 1;
+  }
+}
+
+const settings = new Settings({});
+
+function applyTheme() {
+  document.body.className = settings.theme;
+}
+
+function resetTheme() {
+  settings.theme = "light";
+}
+
+function cycleTheme() {
+  settings.theme += "-alt";
+}
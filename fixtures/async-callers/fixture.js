@@ -0,0 +1,17 @@
+function readConfig() {
+  return {};
+}
+
+function readState() {
+  return {};
+}
+
+async function restore() {
+  const config = readConfig();
+  const state = readState();
+  return { config, state };
+}
+
+function start() {
+  return restore();
+}
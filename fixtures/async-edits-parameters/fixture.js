@@ -0,0 +1,15 @@
+function readDefault() {
+  return 1;
+}
+
+function withDefault(x = readDefault()) {
+  return x + readDefault();
+}
+
+async function alreadyAsync(y = readDefault()) {
+  return y;
+}
+
+function onlyDefault(z = readDefault()) {
+  return z;
+}
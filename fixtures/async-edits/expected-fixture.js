@@ -0,0 +1,55 @@
+"use strict";
+// Reads the settings.
+async function readSettings(path) {
+  return { path, theme: "dark" };
+}
+
+class Store {
+  static async open(path) {
+    /* the first read */
+    const settings = await readSettings(path);
+    return new Store(settings);
+  }
+
+  constructor(settings) {
+    this.settings = settings;
+  }
+
+  async reload() {
+    return (await readSettings(this.settings.path)).theme;
+  }
+
+  get theme() {
+    return readSettings(this.settings.path).theme;
+  }
+}
+
+const helpers = {
+  async load(path) {
+    return await readSettings?.(path);
+  },
+
+  check: async function() {
+    return await defaultStore.reload() === "dark"; // compare the themes
+  },
+};
+
+const defaultStore = new Store({ path: "settings.json" });
+
+async function* themeNames() {
+  yield "dark";
+  yield "light";
+}
+
+const refresh = async () => await helpers.check();
+
+async function startApp() {
+  const store = await Store.open("settings.json");
+  refresh();
+  await helpers.load("other.json");
+  for await (const name of themeNames())
+    console.log(name);
+  return store.theme;
+}
+
+startApp();
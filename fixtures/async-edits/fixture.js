@@ -0,0 +1,55 @@
+"use strict";
+// Reads the settings.
+function readSettings(path) {
+  return { path, theme: "dark" };
+}
+
+class Store {
+  static open(path) {
+    /* the first read */
+    const settings = readSettings(path);
+    return new Store(settings);
+  }
+
+  constructor(settings) {
+    this.settings = settings;
+  }
+
+  reload() {
+    return readSettings(this.settings.path).theme;
+  }
+
+  get theme() {
+    return readSettings(this.settings.path).theme;
+  }
+}
+
+const helpers = {
+  load(path) {
+    return readSettings?.(path);
+  },
+
+  check: function() {
+    return defaultStore.reload() === "dark"; // compare the themes
+  },
+};
+
+const defaultStore = new Store({ path: "settings.json" });
+
+function* themeNames() {
+  yield "dark";
+  yield "light";
+}
+
+const refresh = () => helpers.check();
+
+function startApp() {
+  const store = Store.open("settings.json");
+  refresh();
+  helpers.load("other.json");
+  for (const name of themeNames())
+    console.log(name);
+  return store.theme;
+}
+
+startApp();
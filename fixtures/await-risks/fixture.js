@@ -0,0 +1,64 @@
+function Counter(button) {
+  this.count = 0;
+  this.pending = false;
+  button.addEventListener("click", event => {
+    this.increment();
+    event.preventDefault();
+  });
+  button.onkeydown = () => this.reset();
+}
+
+Counter.prototype = {
+  load() {
+    return 1;
+  },
+
+  increment() {
+    const count = this.count;
+    const value = this.load();
+    this.count = count + value;
+  },
+
+  reset() {
+    try {
+      this.count = 0;
+    }
+    finally {
+      this.load();
+    }
+  },
+
+  incrementAll(items) {
+    for (const item of items)
+      this.increment(item);
+  },
+
+  handleMessage() {
+    this.load();
+  },
+
+  listen(emitter) {
+    emitter.on("message", this.handleMessage);
+  },
+
+  loadFirst(items) {
+    for (const item of items) {
+      if (item)
+        return this.load();
+    }
+    return null;
+  },
+
+  loadEach(items) {
+    for (const item of items) {
+      try {
+        throw this.load(item);
+      }
+      catch (ex) {
+        console.log(ex);
+      }
+    }
+  },
+};
+
+const counter = new Counter(document.body);
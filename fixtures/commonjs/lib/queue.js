@@ -0,0 +1,8 @@
+"use strict";
+const storage = require("./storage");
+
+function flush() {
+  return storage.save("queue");
+}
+
+module.exports = { flush };
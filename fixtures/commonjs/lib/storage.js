@@ -0,0 +1,8 @@
+"use strict";
+exports.load = function load(key) {
+  return key;
+};
+
+exports.save = function save(key) {
+  return exports.load(key) + 1;
+};
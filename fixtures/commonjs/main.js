@@ -0,0 +1,29 @@
+"use strict";
+const storage = require("./lib/storage");
+const { save } = require("./lib/storage.js");
+const { flush } = require("./lib/queue");
+const helpers = require("./lib/helpers");
+
+function first() {
+  return storage.load("a");
+}
+
+function second() {
+  return save("b");
+}
+
+function third() {
+  return flush();
+}
+
+function fourth() {
+  // A different load function.
+  return helpers.load("c");
+}
+
+function fifth() {
+  const local = { load() { return 0; } };
+  return local.load();
+}
+
+module.exports = { first, second, third, fourth, fifth };
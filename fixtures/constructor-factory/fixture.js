@@ -0,0 +1,30 @@
+"use strict";
+class Connection {
+  constructor(url) {
+    this.url = url;
+    this.socket = openSocket(url);
+  }
+
+  send(message) {
+    this.socket.write(message);
+  }
+}
+
+function Session(url) {
+  this.connection = new Connection(url);
+}
+
+function openSession(url) {
+  return new Session(url);
+}
+
+function startApp() {
+  const session = openSession("wss://example.com");
+  session.connection.send("hello");
+}
+
+function openSocket(url) {
+  return { url, write() {} };
+}
+
+startApp();
@@ -0,0 +1,7 @@
+export function load() {
+  return 1;
+}
+
+export default function() {
+  return load();
+}
@@ -0,0 +1,2 @@
+export { load as fetchData } from "./data.js";
+export * from "./other.js";
@@ -0,0 +1,3 @@
+export function unrelated() {
+  return 0;
+}
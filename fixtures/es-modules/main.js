@@ -0,0 +1,25 @@
+import { fetchData, unrelated } from "./lib/index.js";
+import * as data from "./lib/data.js";
+import run from "./lib/data.js";
+
+function first() {
+  return fetchData() + unrelated();
+}
+
+function second() {
+  return data.load();
+}
+
+function third() {
+  return run();
+}
+
+function load() {
+  return 2;
+}
+
+export function fourth() {
+  return load();
+}
+
+export { first, second, third };
@@ -0,0 +1,59 @@
+function* readLines(source) {
+  for (const line of source.split("\n"))
+    yield line;
+}
+
+function countLines(source) {
+  let count = 0;
+  for (const line of readLines(source)) {
+    if (line)
+      count++;
+  }
+  return count;
+}
+
+function firstTwo(source) {
+  const [first, second] = readLines(source);
+  return first + second;
+}
+
+function allLines(source) {
+  return [...readLines(source)];
+}
+
+function lineArray(source) {
+  return Array.from(readLines(source));
+}
+
+function* numberedLines(source) {
+  yield* readLines(source);
+}
+
+function printNumbered(source) {
+  for (const line of numberedLines(source))
+    console.log(line);
+}
+
+function keepIterator(source) {
+  const lines = readLines(source);
+  return lines.next();
+}
+
+class Bag {
+  constructor(items) {
+    this.items = items;
+  }
+
+  *[Symbol.iterator]() {
+    for (const item of this.items)
+      yield item.load();
+  }
+}
+
+function total(items) {
+  const bag = new Bag(items);
+  let sum = 0;
+  for (const value of bag)
+    sum += value;
+  return sum;
+}
@@ -0,0 +1,39 @@
+function fetchData(key) {
+  return key;
+}
+
+function runWith(callback, key) {
+  return callback(key);
+}
+
+const rpc = {
+  call: function(name) {
+    return name;
+  },
+};
+
+function Widget() {
+  this.value = 0;
+}
+
+Widget.prototype = {
+  refresh: function() {
+    this.value = fetchData.call(this, "a");
+  },
+
+  update: function() {
+    const bound = this.refresh.bind(this);
+    bound();
+  },
+
+  start: function() {
+    setTimeout(this.refresh.bind(this), 0);
+  },
+};
+
+function main() {
+  fetchData.apply(null, ["b"]);
+  Reflect.apply(fetchData, null, ["c"]);
+  runWith.call(null, fetchData, "d");
+  return rpc.call("e");
+}
@@ -0,0 +1,54 @@
+class Base {
+  load(key) {
+    return key;
+  }
+
+  loadTwice(key) {
+    return this.load(key) + this.load(key);
+  }
+}
+
+class Cached extends Base {
+  load(key) {
+    return super.load(key);
+  }
+}
+
+class Logged extends Cached {
+  report(key) {
+    return this.load(key);
+  }
+}
+
+class Unrelated {
+  load(key) {
+    return key;
+  }
+}
+
+function OldBase() {
+  this.value = 0;
+}
+
+OldBase.prototype.load = function(key) {
+  return key;
+};
+
+function OldSub() {
+  OldBase.call(this);
+}
+
+OldSub.prototype = Object.create(OldBase.prototype);
+
+OldSub.prototype.load = function(key) {
+  return OldBase.prototype.load.call(this, key);
+};
+
+OldSub.prototype.report = function(key) {
+  return this.load(key);
+};
+
+function main() {
+  new Unrelated().load("a");
+  return new Logged().report("b");
+}
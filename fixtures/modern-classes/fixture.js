@@ -0,0 +1,29 @@
+const Store = class {
+  static count = 0;
+
+  static {
+    Store.count = Store.open();
+  }
+
+  static open() {
+    return 1;
+  }
+
+  handle = () => {
+    return this.#read();
+  };
+
+  #read() {
+    return Store.open();
+  }
+
+  total = Store.open();
+
+  run() {
+    return this.handle();
+  }
+};
+
+function main() {
+  return new Store().run();
+}
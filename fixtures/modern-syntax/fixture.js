@@ -0,0 +1,31 @@
+const cache = {
+  async load(key) {
+    return import.meta.url + key;
+  },
+};
+
+function getEntry(store, key) {
+  return store?.load(key);
+}
+
+function getMaybe(key) {
+  return cache.load?.(key);
+}
+
+let loader = null;
+loader ??= cache;
+
+function viaLoader(key) {
+  return loader.load(key);
+}
+
+function awaited(key) {
+  return (async () => await cache?.load(key))();
+}
+
+function parenthesized(key) {
+  return (cache?.load)(key);
+}
+
+await getEntry(cache, "top");
+export { getMaybe, viaLoader, awaited, parenthesized };
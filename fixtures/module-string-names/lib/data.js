@@ -0,0 +1,9 @@
+export function load() {
+  return 1;
+}
+
+function read() {
+  return load();
+}
+
+export { read as "read-data" };
@@ -0,0 +1,2 @@
+export { load as "load-data" } from "./data.js";
+export * as "data-module" from "./data.js";
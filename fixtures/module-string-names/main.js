@@ -0,0 +1,16 @@
+import { "load-data" as loadData, "data-module" as data } from "./lib/index.js";
+import { "read-data" as readData } from "./lib/data.js";
+
+function first() {
+  return loadData();
+}
+
+function second() {
+  return data.load();
+}
+
+function third() {
+  return readData();
+}
+
+export { first, second, third };
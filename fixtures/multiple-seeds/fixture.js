@@ -0,0 +1,36 @@
+function Storage() {
+  this.items = new Map();
+}
+
+Storage.prototype = {
+  read: function(key) {
+    return this.items.get(key);
+  },
+
+  write: function(key, value) {
+    this.items.set(key, value);
+  },
+
+  copy: function(from, to) {
+    this.write(to, this.read(from));
+  },
+
+  load: function(key) {
+    return this.read(key);
+  },
+
+  save: function(key, value) {
+    this.write(key, value);
+  },
+
+  size: function() {
+    return this.items.size;
+  },
+};
+
+function main() {
+  const storage = new Storage();
+  storage.save("a", 1);
+  storage.copy("a", "b");
+  return storage.load("b") + storage.size();
+}
@@ -0,0 +1,4 @@
+// This file has a syntax error, deliberately.
+function c() {
+  return b(;
+}
@@ -0,0 +1,38 @@
+async function fetchData(key) {
+  return key;
+}
+
+async function returned(key) {
+  return fetchData(key);
+}
+
+const arrow = async key => fetchData(key);
+
+function chained(key) {
+  fetchData(key).then(value => console.log(value));
+}
+
+function caught(key) {
+  return fetchData(key).catch(() => null);
+}
+
+function combined(keys) {
+  return Promise.all([fetchData(keys[0]), fetchData(keys[1])]);
+}
+
+async function* generated(keys) {
+  for (const key of keys)
+    yield fetchData(key);
+}
+
+async function conditional(key) {
+  return key ? fetchData(key) : null;
+}
+
+function notConsumed(key) {
+  return fetchData(key);
+}
+
+function* syncGenerator(key) {
+  yield fetchData(key);
+}
@@ -0,0 +1,31 @@
+// Functions for test/qualifiedNames.js to find by name.
+function A() {}
+A.prototype.e = function() {};
+A.prototype.f = function() {};
+
+class MyClass {
+  constructor() {}
+  method() {}
+  static staticMethod() {}
+}
+
+const B = {
+  e() {},
+  inner: {
+    g: function() {},
+  },
+};
+
+function top() {
+  function nested() {}
+  return nested;
+}
+
+const arrow = () => {};
+
+const Modern = class {
+  constructor() {}
+  #hidden() {}
+  field = () => {};
+  static async create() {}
+};
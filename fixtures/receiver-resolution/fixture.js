@@ -0,0 +1,33 @@
+const A = {
+  a: function() {
+    return A.b();
+  },
+
+  b: function() {
+    return 1;
+  }
+};
+
+const B = {
+  a: function() {
+    return this.b();
+  },
+
+  b: function() {
+    return 2;
+  },
+
+  c: function(other) {
+    return other.b();
+  }
+};
+
+function C() {
+  this.d = A.b();
+}
+
+C.prototype.e = function() {
+  return this.b();
+};
+
+const D = new C(); // eslint-disable-line no-unused-vars
@@ -0,0 +1,8 @@
+"use strict";
+const storage = {
+  load(key) {
+    return key;
+  },
+};
+
+let counter = 0;
@@ -0,0 +1,8 @@
+"use strict";
+// This would be a redeclaration if we parsed a.js and b.js as one script.
+let counter = 1;
+
+function run() {
+  counter++;
+  return storage.load("b");
+}
@@ -0,0 +1,34 @@
+function fetchItem(id) {
+  return { id };
+}
+
+function loadAll(ids) {
+  const items = [];
+  ids.forEach(id => {
+    items.push(fetchItem(id));
+  });
+  return items;
+}
+
+function loadEach(ids) {
+  return ids.map(function(id) {
+    return fetchItem(id);
+  });
+}
+
+function loadLast(ids) {
+  return util.each(ids, id => fetchItem(id));
+}
+
+function loadFirst(ids) {
+  for (const id of ids) {
+    return fetchItem(id);
+  }
+  return null;
+}
+
+const util = {
+  each: function(list, callback) {
+    return list.map(callback);
+  },
+};
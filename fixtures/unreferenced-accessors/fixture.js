@@ -0,0 +1,9 @@
+const A = {
+  get theme() {
+    return this._theme;
+  },
+
+  set theme(value) {
+    this._theme = value;
+  },
+};
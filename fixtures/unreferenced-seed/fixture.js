@@ -0,0 +1,5 @@
+const A = {
+  get c() {
+    return 1;
+  }
+};
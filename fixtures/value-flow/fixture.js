@@ -0,0 +1,43 @@
+function fetchData() {
+  return 1;
+}
+
+function runTwice(callback) {
+  callback();
+  return callback();
+}
+
+function runLater(task) {
+  return runTwice(task);
+}
+
+function runOther(callback) {
+  return callback();
+}
+
+function other() {
+  return 2;
+}
+
+function Widget() {
+  this.value = 0;
+}
+
+Widget.prototype = {
+  refresh: function() {
+    this.value = fetchData();
+  },
+
+  start: function() {
+    setTimeout(this.refresh, 0);
+  },
+};
+
+function main(emitter, items) {
+  const load = fetchData;
+  load();
+  runLater(fetchData);
+  runOther(other);
+  emitter.on("x", fetchData);
+  return items.map(fetchData);
+}
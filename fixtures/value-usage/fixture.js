@@ -0,0 +1,36 @@
+const store = {
+  compute() {
+    return 1;
+  },
+
+  discarded() {
+    this.compute();
+  },
+
+  assigned() {
+    const value = this.compute();
+    return value;
+  },
+
+  returned() {
+    return this.compute();
+  },
+
+  argument() {
+    console.log(this.compute());
+  },
+
+  condition() {
+    if (this.compute())
+      return true;
+    return !this.compute();
+  },
+
+  arithmetic() {
+    return this.compute() * 2;
+  },
+
+  other() {
+    return this.compute().toFixed(2);
+  },
+};
@@ -0,0 +1,70 @@
+"use strict";
+
+const { getAsyncGraph } = require("./utilities/asyncGraph");
+
+/* The async stacks as a Graphviz DOT graph:  dot -Tsvg output.dot > output.svg
+Each function appears once, and each await site is an edge from the function
+it awaits to the function it makes async.
+*/
+function escapeDOT(text) {
+  return text.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+const edgeStyles = new Map([
+  ["await", ""],
+  ["consumed", ", style=dashed"],
+  ["iteration", ", style=bold"],
+  ["overrides", ", style=dotted"],
+]);
+
+function DOTSerializer(root, asyncRefs, parseDriver, options = {}) {
+  this.root = root;
+  this.asyncRefs = asyncRefs;
+  this.parseDriver = parseDriver;
+  this.options = options;
+}
+
+DOTSerializer.prototype.serialize = function()
+{
+  const { nodes, edges } = getAsyncGraph(this.asyncRefs, this.parseDriver);
+
+  let rv = "digraph StackLizard {\n";
+  rv += "  node [shape=box, fontname=\"monospace\"];\n";
+  rv += "  edge [fontname=\"monospace\"];\n";
+
+  nodes.forEach(graphNode => {
+    rv += `  ${graphNode.id} [label="${escapeDOT(graphNode.label)}"${this.getNodeStyle(graphNode)}];\n`;
+  });
+
+  edges.forEach(({from, to, kind, label}) => {
+    rv += `  ${from} -> ${to} [label="${escapeDOT(label)}"${edgeStyles.get(kind)}];\n`;
+  });
+
+  rv += "}\n";
+  return rv;
+};
+
+DOTSerializer.prototype.getNodeStyle = function(graphNode)
+{
+  let rv = "";
+  if (graphNode.kind === "site")
+    rv += ", shape=note";
+  if (graphNode.seed)
+    rv += ", penwidth=3";
+  if (graphNode.xpcomComponent)
+    rv += ", shape=component, color=blue";
+  if (graphNode.syntaxError)
+    rv += ", style=filled, fillcolor=\"#ffe0e0\", color=red";
+  else if (graphNode.ignored)
+    rv += ", style=dashed, color=gray, fontcolor=gray";
+  return rv;
+};
+
+DOTSerializer.prototype.getConfiguration = function() {
+  return {
+    type: "dot",
+    options: this.options
+  };
+};
+
+module.exports = DOTSerializer;
@@ -1,5 +1,9 @@
 "use strict";
 
+function escapeHTML(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
 function HTMLSerializer(root, asyncRefs, parseDriver, options = {}) {
   this.root = root;
   this.asyncRefs = asyncRefs;
@@ -10,6 +14,9 @@ function HTMLSerializer(root, asyncRefs, parseDriver, options = {}) {
   this.scheduledNodes = new WeakSet();
 
   this.asyncSyntaxErrors = new Set();
+
+  // With more than one starting node, say which ones each await is due to.
+  this.showSeeds = asyncRefs.get(null).length > 1;
 }
 
 HTMLSerializer.prototype.serialize = function()
@@ -24,7 +31,10 @@ HTMLSerializer.prototype.serialize = function()
   <body>
   ${this.appendNodes(null)}
   ${this.appendIgnoredNodes()}
+  ${this.appendUnresolvedNodes()}
+  ${this.appendSyncCallbackHazards()}
   ${this.appendAsyncSyntaxErrors()}
+  ${this.appendParseErrors()}
   <pre>${this.parseDriver.serializeMiscellaneous()}</pre>
 </body></html>`;
 };
@@ -44,29 +54,48 @@ HTMLSerializer.prototype.appendNodes = function(key)
   }
 
   for (let i = 0; i < children.length; i++)
-    rv += this.serializeChildData(children[i]);
+    rv += this.serializeChildData(children[i], key);
 
   rv += "</ul>\n"
   return rv;
 };
 
 HTMLSerializer.prototype.serializeChildData = function(
-  {awaitNode, asyncNode}
+  {awaitNode, asyncNode, overrides, iterationNode, fixType, promiseConsumer, usage, accessorCall, factoryCall, risks, seeds},
+  key
 )
 {
   const asyncName = (asyncNode && this.parseDriver.getNodeName(asyncNode)) ||
                     (awaitNode && this.parseDriver.getNodeName(awaitNode)) ||
+                    (iterationNode && this.parseDriver.getNodeName(key)) ||
                     "";
 
   let rv = `<li>${asyncName}()`;
-  if (awaitNode)
+  if (awaitNode && promiseConsumer)
+    rv += `, promise consumed by ${promiseConsumer} <a href="${awaitNode.file}#${awaitNode.line}">${this.parseDriver.serializeNode(awaitNode)}</a>`;
+  else if (awaitNode) {
     rv += `, await <a href="${awaitNode.file}#${awaitNode.line}">${this.parseDriver.serializeNode(awaitNode)}</a>`;
+    if (usage)
+      rv += `, ${this.parseDriver.getUsageLabel(usage)}`;
+    if (accessorCall)
+      rv += `, call ${accessorCall} instead`;
+    if (factoryCall)
+      rv += `, replace new with factory ${factoryCall}`;
+  }
+  if (overrides)
+    rv += `, overrides <a href="${overrides.file}#${overrides.line}">${this.parseDriver.serializeNode(overrides)}</a>`;
+  if (iterationNode)
+    rv += `, ${fixType} <a href="${iterationNode.file}#${iterationNode.line}">${this.parseDriver.serializeNode(iterationNode)}</a> (${escapeHTML(this.parseDriver.getIterationSuggestion(fixType))})`;
   if (asyncNode) {
     rv += `, async <a href="${asyncNode.file}#${asyncNode.line}">${this.parseDriver.serializeNode(asyncNode)}</a>`;
 
     if (this.parseDriver.isAsyncSyntaxError(asyncNode))
       this.asyncSyntaxErrors.add(asyncNode);
   }
+  if ((awaitNode || overrides || iterationNode) && seeds && this.showSeeds)
+    rv += this.serializeSeeds(seeds);
+  if (risks)
+    risks.forEach(risk => rv += `; Warning: ${escapeHTML(risk.message)}`);
 
   rv += "\n";
 
@@ -84,6 +113,11 @@ HTMLSerializer.prototype.serializeChildData = function(
   return rv;
 };
 
+HTMLSerializer.prototype.serializeSeeds = function(seeds) {
+  const labels = seeds.map(seed => escapeHTML(this.parseDriver.getSeedLabel(seed)));
+  return ` (seeds: ${labels.join(", ")})`;
+};
+
 HTMLSerializer.prototype.appendIgnoredNodes = function() {
   let rv = "<ul>\n";
   this.parseDriver.ignoredNodes.forEach(n => {
@@ -93,10 +127,42 @@ HTMLSerializer.prototype.appendIgnoredNodes = function() {
   return rv;
 };
 
+HTMLSerializer.prototype.appendUnresolvedNodes = function() {
+  let rv = "<ul>\n";
+  this.parseDriver.unresolvedNodes.forEach(n => {
+    rv += `<li>Unresolved: <a href="${n.file}#${n.line}">${this.parseDriver.serializeNode(n)}</a></li>\n`;
+  });
+  rv += "</ul>\n";
+  return rv;
+};
+
+HTMLSerializer.prototype.appendSyncCallbackHazards = function() {
+  let rv = "<ul>\n";
+  this.parseDriver.syncCallbackHazards.forEach(({callNode, methodName, suggestion}, callback) => {
+    rv += `<li>Sync callback hazard: ${methodName}() <a href="${callNode.file}#${callNode.line}">${this.parseDriver.serializeNode(callNode)}</a>, ` +
+          `async callback <a href="${callback.file}#${callback.line}">${this.parseDriver.serializeNode(callback)}</a>; ${escapeHTML(suggestion)}</li>\n`;
+  });
+  rv += "</ul>\n";
+  return rv;
+};
+
 HTMLSerializer.prototype.appendAsyncSyntaxErrors = function() {
   let rv = "<ul>\n";
   this.asyncSyntaxErrors.forEach(n => {
-    rv += `<li>**SyntaxError**: async <a href="${n.file}#${n.line}">${this.parseDriver.serializeNode(n)}</a></li>\n`;
+    rv += `<li>**SyntaxError**: async <a href="${n.file}#${n.line}">${this.parseDriver.serializeNode(n)}</a>`;
+    const conversion = this.parseDriver.getAccessorConversion(n);
+    if (conversion)
+      rv += `; convert it to an async ${escapeHTML(conversion.methodName)}() method`;
+    rv += "</li>\n";
+  });
+  rv += "</ul>\n";
+  return rv;
+};
+
+HTMLSerializer.prototype.appendParseErrors = function() {
+  let rv = "<ul>\n";
+  this.parseDriver.parseErrors.forEach(({file, line, column, message}) => {
+    rv += `<li>Could not analyze: <a href="${file}#${line}">${file}:${line}:${column}</a> ${escapeHTML(message)}</li>\n`;
   });
   rv += "</ul>\n";
   return rv;
@@ -0,0 +1,139 @@
+"use strict";
+
+/* The analysis as JSON, for scripts and dashboards.  serializers/json.schema.json
+documents the format.  Bump SCHEMA_VERSION when a change would break the code
+reading it:  removing or renaming a property, or changing its meaning.  Adding
+an optional property doesn't need a new version.
+*/
+const SCHEMA_VERSION = 1;
+
+// The function-like nodes, which the name property names.
+function isNamedNode(node) {
+  return node.type.includes("Function") ||
+         (node.type === "ClassDeclaration") ||
+         (node.type === "ClassExpression") ||
+         (node.type === "PropertyDefinition") ||
+         (node.type === "StaticBlock");
+}
+
+function JSONSerializer(root, asyncRefs, parseDriver, options = {}) {
+  this.root = root;
+  this.asyncRefs = asyncRefs;
+  this.parseDriver = parseDriver;
+  this.options = options;
+
+  this.asyncSyntaxErrors = new Set();
+}
+
+JSONSerializer.prototype.serialize = function()
+{
+  const rv = {
+    schemaVersion: SCHEMA_VERSION,
+    seeds: this.asyncRefs.get(null).map(({asyncNode}) => this.serializeNode(asyncNode)),
+    asyncRefs: [],
+  };
+
+  this.asyncRefs.forEach((references, key) => {
+    rv.asyncRefs.push({
+      key: key ? this.serializeNode(key) : null,
+      references: references.map(refData => this.serializeReference(refData)),
+    });
+  });
+
+  rv.ignored = Array.from(this.parseDriver.ignoredNodes).map(n => this.serializeNode(n));
+  rv.unresolved = Array.from(this.parseDriver.unresolvedNodes).map(n => this.serializeNode(n));
+
+  rv.syncCallbackHazards = [];
+  this.parseDriver.syncCallbackHazards.forEach(({callNode, methodName, suggestion}, callback) => {
+    rv.syncCallbackHazards.push({
+      callback: this.serializeNode(callback),
+      callNode: this.serializeNode(callNode),
+      methodName,
+      suggestion,
+    });
+  });
+
+  rv.syntaxErrors = Array.from(this.asyncSyntaxErrors).map(n => {
+    const error = { node: this.serializeNode(n) };
+    const conversion = this.parseDriver.getAccessorConversion(n);
+    if (conversion)
+      error.methodName = conversion.methodName;
+    return error;
+  });
+
+  rv.parseErrors = this.parseDriver.parseErrors.map(({file, line, column, message}) => {
+    return { file, line, column, message };
+  });
+
+  return JSON.stringify(rv, null, 2) + "\n";
+};
+
+JSONSerializer.prototype.serializeReference = function(refData)
+{
+  const {
+    awaitNode, asyncNode, overrides, iterationNode, fixType, promiseConsumer,
+    usage, accessorCall, factoryCall, risks, seeds,
+  } = refData;
+
+  const rv = {};
+  if (awaitNode)
+    rv.awaitNode = this.serializeNode(awaitNode);
+  if (asyncNode) {
+    rv.asyncNode = this.serializeNode(asyncNode);
+    if (this.parseDriver.isAsyncSyntaxError(asyncNode))
+      this.asyncSyntaxErrors.add(asyncNode);
+  }
+  if (overrides)
+    rv.overrides = this.serializeNode(overrides);
+  if (iterationNode) {
+    rv.iterationNode = this.serializeNode(iterationNode);
+    rv.fixType = fixType;
+    rv.suggestion = this.parseDriver.getIterationSuggestion(fixType);
+  }
+  if (usage)
+    rv.usage = usage;
+  if (promiseConsumer)
+    rv.promiseConsumer = promiseConsumer;
+  if (accessorCall)
+    rv.accessorCall = accessorCall;
+  if (factoryCall)
+    rv.factoryCall = factoryCall;
+  if (risks)
+    rv.risks = risks.map(({kind, message}) => ({ kind, message }));
+  if (seeds)
+    rv.seeds = seeds.map(seed => this.serializeNode(seed));
+  return rv;
+};
+
+JSONSerializer.prototype.serializeNode = function(node)
+{
+  const driver = this.parseDriver;
+  const flags = driver.getNodeFlags(node);
+
+  return {
+    id: `${node.file}:${node.line}:${node.column} ${node.type}`,
+    file: node.file,
+    line: node.line,
+    column: node.column,
+    type: node.type,
+    index: driver.indexOfNodeOnLine(node),
+    name: isNamedNode(node) ? driver.getNodeName(node) : null,
+    accessor: Boolean(flags.accessor),
+    // Every object inherits a constructor property.
+    constructor: flags.constructor === true,
+    xpcomComponent: Boolean(flags.xpcomComponent),
+    ignored: driver.ignoredNodes.has(node),
+    syntaxError: driver.isAsyncSyntaxError(node),
+  };
+};
+
+JSONSerializer.prototype.getConfiguration = function() {
+  return {
+    type: "json",
+    options: this.options
+  };
+};
+
+JSONSerializer.SCHEMA_VERSION = SCHEMA_VERSION;
+
+module.exports = JSONSerializer;
@@ -10,11 +10,16 @@ function MarkdownSerializer(root, asyncRefs, parseDriver, options = {}) {
   this.scheduledNodes = new WeakSet();
 
   this.asyncSyntaxErrors = new Set();
+
+  // With more than one starting node, say which ones each await is due to.
+  this.showSeeds = asyncRefs.get(null).length > 1;
 }
 
 MarkdownSerializer.prototype.serialize = function()
 {
-  return this.appendNodes("", null) + this.appendIgnoredNodes() + this.appendAsyncSyntaxErrors();
+  return this.appendNodes("", null) + this.appendIgnoredNodes() +
+         this.appendUnresolvedNodes() + this.appendSyncCallbackHazards() +
+         this.appendAsyncSyntaxErrors() + this.appendParseErrors();
 };
 
 MarkdownSerializer.prototype.appendNodes = function(indent, key)
@@ -32,29 +37,48 @@ MarkdownSerializer.prototype.appendNodes = function(indent, key)
   }
 
   for (let i = 0; i < children.length; i++)
-    rv += this.serializeChildData(indent, children[i]);
+    rv += this.serializeChildData(indent, children[i], key);
 
   return rv;
 };
 
 MarkdownSerializer.prototype.serializeChildData = function(
   indent,
-  {awaitNode, asyncNode}
+  {awaitNode, asyncNode, overrides, iterationNode, fixType, promiseConsumer, usage, accessorCall, factoryCall, risks, seeds},
+  key
 )
 {
   const asyncName = (asyncNode && this.parseDriver.getNodeName(asyncNode)) ||
                     (awaitNode && this.parseDriver.getNodeName(awaitNode)) ||
+                    (iterationNode && this.parseDriver.getNodeName(key)) ||
                     "";
 
   let rv = `${indent}- ${asyncName}()`;
-  if (awaitNode)
+  if (awaitNode && promiseConsumer)
+    rv += `, promise consumed by ${promiseConsumer} ${this.parseDriver.serializeNode(awaitNode)}`;
+  else if (awaitNode) {
     rv += `, await ${this.parseDriver.serializeNode(awaitNode)}`;
+    if (usage)
+      rv += `, ${this.parseDriver.getUsageLabel(usage)}`;
+    if (accessorCall)
+      rv += `, call ${accessorCall} instead`;
+    if (factoryCall)
+      rv += `, replace new with factory ${factoryCall}`;
+  }
+  if (overrides)
+    rv += `, overrides ${this.parseDriver.serializeNode(overrides)}`;
+  if (iterationNode)
+    rv += `, ${fixType} ${this.parseDriver.serializeNode(iterationNode)} (${this.parseDriver.getIterationSuggestion(fixType)})`;
   if (asyncNode) {
     rv += `, async ${this.parseDriver.serializeNode(asyncNode)}`;
 
     if (this.parseDriver.isAsyncSyntaxError(asyncNode))
       this.asyncSyntaxErrors.add(asyncNode);
   }
+  if ((awaitNode || overrides || iterationNode) && seeds && this.showSeeds)
+    rv += this.serializeSeeds(seeds);
+  if (risks)
+    risks.forEach(risk => rv += `; **Warning**: ${risk.message}`);
 
   rv += "\n";
 
@@ -71,6 +95,11 @@ MarkdownSerializer.prototype.serializeChildData = function(
   return rv;
 };
 
+MarkdownSerializer.prototype.serializeSeeds = function(seeds) {
+  const labels = seeds.map(seed => this.parseDriver.getSeedLabel(seed));
+  return ` (seeds: ${labels.join(", ")})`;
+};
+
 MarkdownSerializer.prototype.appendIgnoredNodes = function() {
   let rv = "";
   this.parseDriver.ignoredNodes.forEach(n => {
@@ -79,10 +108,39 @@ MarkdownSerializer.prototype.appendIgnoredNodes = function() {
   return rv;
 };
 
+MarkdownSerializer.prototype.appendUnresolvedNodes = function() {
+  let rv = "";
+  this.parseDriver.unresolvedNodes.forEach(n => {
+    rv += "- Unresolved: " + this.parseDriver.serializeNode(n) + "\n";
+  });
+  return rv;
+};
+
+MarkdownSerializer.prototype.appendSyncCallbackHazards = function() {
+  let rv = "";
+  this.parseDriver.syncCallbackHazards.forEach(({callNode, methodName, suggestion}, callback) => {
+    rv += `- **Sync callback hazard**: ${methodName}() ${this.parseDriver.serializeNode(callNode)}, ` +
+          `async callback ${this.parseDriver.serializeNode(callback)}; ${suggestion}\n`;
+  });
+  return rv;
+};
+
 MarkdownSerializer.prototype.appendAsyncSyntaxErrors = function() {
   let rv = "";
   this.asyncSyntaxErrors.forEach(n => {
-    rv += "- **SyntaxError**: async " + this.parseDriver.serializeNode(n) + "\n";
+    rv += "- **SyntaxError**: async " + this.parseDriver.serializeNode(n);
+    const conversion = this.parseDriver.getAccessorConversion(n);
+    if (conversion)
+      rv += `; convert it to an async ${conversion.methodName}() method`;
+    rv += "\n";
+  });
+  return rv;
+};
+
+MarkdownSerializer.prototype.appendParseErrors = function() {
+  let rv = "";
+  this.parseDriver.parseErrors.forEach(({file, line, column, message}) => {
+    rv += `- **Could not analyze**: ${file}:${line}:${column} ${message}\n`;
   });
   return rv;
 };
@@ -0,0 +1,71 @@
+"use strict";
+
+const { getAsyncGraph } = require("./utilities/asyncGraph");
+
+/* The async stacks as a Mermaid flowchart, which GitHub and many Markdown
+viewers render inside a ```mermaid block.  Each function appears once, and each
+await site is an edge from the function it awaits to the function it makes
+async.
+*/
+function escapeMermaid(text) {
+  return text.replace(/"/g, "#quot;").replace(/</g, "#lt;").replace(/>/g, "#gt;").replace(/\n/g, "<br/>");
+}
+
+const edgeArrows = new Map([
+  ["await", "-->"],
+  ["consumed", "-.->"],
+  ["iteration", "==>"],
+  ["overrides", "-.->"],
+]);
+
+const classDefinitions = [
+  "classDef seed stroke-width:3px",
+  "classDef site stroke-dasharray:2 2",
+  "classDef syntaxError fill:#ffe0e0,stroke:#c00,color:#c00",
+  "classDef ignored stroke-dasharray:5 5,stroke:#888,color:#888",
+  "classDef xpcomComponent fill:#e0e8ff,stroke:#00c",
+];
+
+function MermaidSerializer(root, asyncRefs, parseDriver, options = {}) {
+  this.root = root;
+  this.asyncRefs = asyncRefs;
+  this.parseDriver = parseDriver;
+  this.options = options;
+}
+
+MermaidSerializer.prototype.serialize = function()
+{
+  const { nodes, edges } = getAsyncGraph(this.asyncRefs, this.parseDriver);
+
+  let rv = "flowchart TD\n";
+  nodes.forEach(({id, label}) => {
+    rv += `  ${id}["${escapeMermaid(label)}"]\n`;
+  });
+
+  edges.forEach(({from, to, kind, label}) => {
+    rv += `  ${from} ${edgeArrows.get(kind)}|"${escapeMermaid(label)}"| ${to}\n`;
+  });
+
+  classDefinitions.forEach(definition => rv += `  ${definition}\n`);
+
+  // Later classes win, so a SyntaxError shows over the others.
+  const classNames = ["site", "seed", "xpcomComponent", "ignored", "syntaxError"];
+  classNames.forEach(className => {
+    const ids = nodes.filter(graphNode => {
+      return (className === "site") ? (graphNode.kind === "site") : graphNode[className];
+    }).map(graphNode => graphNode.id);
+    if (ids.length)
+      rv += `  class ${ids.join(",")} ${className}\n`;
+  });
+
+  return rv;
+};
+
+MermaidSerializer.prototype.getConfiguration = function() {
+  return {
+    type: "mermaid",
+    options: this.options
+  };
+};
+
+module.exports = MermaidSerializer;
@@ -0,0 +1,124 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/* The async and await edits, as a unified diff against the files under the
+driver's root directory.  Apply it from there with patch -p1 or git apply.
+Each hunk header ends with why StackLizard wants the edits in it, and the
+sites to fix by hand come first.  Like every serializer, serialize() is
+synchronous, so it reads the files with readFileSync().
+*/
+function PatchSerializer(root, asyncRefs, parseDriver, options = {}) {
+  this.root = root;
+  this.asyncRefs = asyncRefs;
+  this.parseDriver = parseDriver;
+  this.options = options;
+
+  // Unchanged lines around each change.
+  this.contextLines = ("context" in options) ? options.context : 3;
+}
+
+PatchSerializer.prototype.serialize = function()
+{
+  const editsByFile = this.parseDriver.getAsyncEditsByFile(this.asyncRefs);
+
+  // patch and git apply skip the text before the first file.
+  let rv = "";
+  const fixes = this.parseDriver.getManualAsyncFixes(this.asyncRefs);
+  if (fixes.length) {
+    rv += "Fix by hand:\n";
+    fixes.forEach(({file, line, column, reason}) => rv += `  ${file}:${line}:${column} ${reason}\n`);
+    rv += "\n";
+  }
+
+  Array.from(editsByFile.keys()).sort().forEach(file => {
+    rv += this.serializeFile(file, editsByFile.get(file));
+  });
+  return rv;
+};
+
+PatchSerializer.prototype.serializeFile = function(file, edits)
+{
+  const source = fs.readFileSync(
+    path.resolve(this.parseDriver.rootDir, file), { encoding: "UTF-8" }
+  );
+  const oldLines = splitLines(source), newLines = splitLines(this.parseDriver.getEditedSource(source, edits));
+  const missingNewline = !source.endsWith("\n");
+
+  // The edits only insert text within lines, so the line numbers match.
+  const changed = [];
+  oldLines.forEach((line, index) => {
+    if (line !== newLines[index])
+      changed.push(index);
+  });
+  if (!changed.length)
+    return "";
+
+  // Overlapping or adjacent hunks become one.
+  const hunks = [];
+  changed.forEach(index => {
+    const start = Math.max(0, index - this.contextLines);
+    const end = Math.min(oldLines.length - 1, index + this.contextLines);
+    const last = hunks[hunks.length - 1];
+    if (last && (start <= last.end + 1))
+      last.end = end;
+    else
+      hunks.push({ start, end });
+  });
+
+  let rv = `--- a/${file}\n+++ b/${file}\n`;
+  hunks.forEach(({start, end}) => {
+    const reasons = new Set();
+    edits.forEach(edit => {
+      if ((edit.line - 1 >= start) && (edit.line - 1 <= end))
+        reasons.add(edit.reason);
+    });
+
+    const count = end - start + 1;
+    rv += `@@ -${start + 1},${count} +${start + 1},${count} @@ ${Array.from(reasons).join("; ")}\n`;
+
+    const endOfLine = index => {
+      return ((index === oldLines.length - 1) && missingNewline) ?
+             "\n\\ No newline at end of file\n" :
+             "\n";
+    };
+
+    // Each run of changed lines goes out as the removed lines, then the added ones.
+    for (let index = start; index <= end; ) {
+      if (oldLines[index] === newLines[index]) {
+        rv += " " + oldLines[index] + endOfLine(index);
+        index++;
+        continue;
+      }
+
+      let runEnd = index;
+      while ((runEnd <= end) && (oldLines[runEnd] !== newLines[runEnd]))
+        runEnd++;
+      for (let i = index; i < runEnd; i++)
+        rv += "-" + oldLines[i] + endOfLine(i);
+      for (let i = index; i < runEnd; i++)
+        rv += "+" + newLines[i] + endOfLine(i);
+      index = runEnd;
+    }
+  });
+
+  return rv;
+};
+
+PatchSerializer.prototype.getConfiguration = function() {
+  return {
+    type: "patch",
+    options: this.options
+  };
+};
+
+// "a\nb\n" is two lines, and so is "a\nb".
+function splitLines(source) {
+  const rv = source.split("\n");
+  if (source.endsWith("\n"))
+    rv.pop();
+  return rv;
+}
+
+module.exports = PatchSerializer;
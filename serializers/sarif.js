@@ -0,0 +1,293 @@
+"use strict";
+
+const path = require("path");
+const url = require("url");
+const { version } = require("../package.json");
+
+/* The analysis as a SARIF 2.1.0 log, for code scanning viewers.  Each result's
+code flow walks from a seed function, through the await sites which make each
+caller async, down to the result's own location.
+*/
+const rules = [
+  {
+    id: "await-site",
+    name: "AwaitSite",
+    shortDescription: { text: "A call to mark await." },
+    defaultConfiguration: { level: "warning" },
+  },
+  {
+    id: "async-site",
+    name: "AsyncSite",
+    shortDescription: { text: "A function to mark async." },
+    defaultConfiguration: { level: "warning" },
+  },
+  {
+    id: "iteration-site",
+    name: "IterationSite",
+    shortDescription: { text: "Code iterating over an iterator which becomes async." },
+    defaultConfiguration: { level: "warning" },
+  },
+  {
+    id: "async-syntax-error",
+    name: "AsyncSyntaxError",
+    shortDescription: { text: "A function which can't be async:  a constructor, getter, setter, class field or static block." },
+    defaultConfiguration: { level: "error" },
+  },
+  {
+    id: "sync-callback-hazard",
+    name: "SyncCallbackHazard",
+    shortDescription: { text: "An async callback to a method which calls it synchronously." },
+    defaultConfiguration: { level: "error" },
+  },
+  {
+    id: "unresolved-reference",
+    name: "UnresolvedReference",
+    shortDescription: { text: "A reference StackLizard couldn't resolve, to review by hand." },
+    defaultConfiguration: { level: "note" },
+  },
+  {
+    id: "ignored-node",
+    name: "IgnoredNode",
+    shortDescription: { text: "A node the configuration told StackLizard to ignore." },
+    defaultConfiguration: { level: "note" },
+  },
+];
+
+function SARIFSerializer(root, asyncRefs, parseDriver, options = {}) {
+  this.root = root;
+  this.asyncRefs = asyncRefs;
+  this.parseDriver = parseDriver;
+  this.options = options;
+
+  // async node: { key, refData } for the reference which first made it async
+  this.asyncCauses = new Map();
+  asyncRefs.forEach((references, key) => {
+    references.forEach(refData => {
+      if (refData.asyncNode && !this.asyncCauses.has(refData.asyncNode))
+        this.asyncCauses.set(refData.asyncNode, { key, refData });
+    });
+  });
+}
+
+SARIFSerializer.prototype.serialize = function()
+{
+  const results = [];
+  const asyncNodes = new Set();
+
+  this.asyncRefs.forEach((references, key) => {
+    const keyName = key ? this.parseDriver.getNodeName(key) + "()" : "";
+    references.forEach(refData => {
+      const {
+        awaitNode, asyncNode, overrides, iterationNode, fixType, promiseConsumer,
+        usage, accessorCall, factoryCall, risks,
+      } = refData;
+
+      if (awaitNode) {
+        let text;
+        if (promiseConsumer) {
+          text = `The promise ${keyName} returns is already consumed by ${promiseConsumer}.`;
+        }
+        else {
+          text = `Await the call to ${keyName}`;
+          if (usage)
+            text += ` (${this.parseDriver.getUsageLabel(usage)})`;
+          text += ".";
+          if (accessorCall)
+            text += ` Call ${accessorCall} instead.`;
+          if (factoryCall)
+            text += ` Replace new with factory ${factoryCall}.`;
+        }
+        if (risks)
+          risks.forEach(risk => text += ` Warning: ${risk.message}.`);
+
+        results.push(this.buildResult(
+          "await-site", promiseConsumer ? "note" : null, text, awaitNode, key
+        ));
+      }
+
+      if (iterationNode) {
+        results.push(this.buildResult(
+          "iteration-site", null,
+          `${keyName} returns an async iterator:  ${this.parseDriver.getIterationSuggestion(fixType)}.`,
+          iterationNode, key
+        ));
+      }
+
+      if (!asyncNode || asyncNodes.has(asyncNode))
+        return;
+      asyncNodes.add(asyncNode);
+
+      let text;
+      if (!key)
+        text = `Mark ${this.parseDriver.getNodeName(asyncNode)}() async:  it's a seed function.`;
+      else if (overrides)
+        text = `Mark ${this.parseDriver.getNodeName(asyncNode)}() async:  it overrides ${keyName}.`;
+      else if (iterationNode)
+        text = `Mark ${this.parseDriver.getNodeName(asyncNode)}() async:  it iterates over what ${keyName} returns.`;
+      else
+        text = `Mark ${this.parseDriver.getNodeName(asyncNode)}() async:  it awaits ${keyName}.`;
+
+      if (this.parseDriver.isAsyncSyntaxError(asyncNode)) {
+        text = `${this.parseDriver.getNodeName(asyncNode)}() can't be async, but it needs to be.`;
+        const conversion = this.parseDriver.getAccessorConversion(asyncNode);
+        if (conversion)
+          text += ` Convert it to an async ${conversion.methodName}() method.`;
+        results.push(this.buildResult("async-syntax-error", null, text, asyncNode, asyncNode));
+      }
+      else {
+        results.push(this.buildResult("async-site", null, text, asyncNode, asyncNode));
+      }
+    });
+  });
+
+  this.parseDriver.syncCallbackHazards.forEach(({callNode, methodName, suggestion}, callback) => {
+    const result = this.buildResult(
+      "sync-callback-hazard", null,
+      `${methodName}() calls its async callback synchronously, and doesn't wait for it:  ${suggestion}.`,
+      callNode, this.asyncCauses.has(callback) ? callback : null
+    );
+    result.relatedLocations = [this.buildLocation(callback, "The async callback.")];
+    results.push(result);
+  });
+
+  this.parseDriver.unresolvedNodes.forEach(node => {
+    results.push(this.buildResult(
+      "unresolved-reference", null,
+      "StackLizard couldn't resolve this reference.  Check if it needs an await.",
+      node, null
+    ));
+  });
+
+  this.parseDriver.ignoredNodes.forEach(node => {
+    results.push(this.buildResult("ignored-node", null, "Ignored by the configuration.", node, null));
+  });
+
+  const run = {
+    tool: {
+      driver: {
+        name: "StackLizard",
+        version,
+        informationUri: "https://github.com/ajvincent/stacklizard",
+        rules,
+      },
+    },
+    originalUriBaseIds: {
+      SRCROOT: {
+        uri: url.pathToFileURL(path.resolve(this.parseDriver.rootDir)).href + "/",
+      },
+    },
+    invocations: [{
+      executionSuccessful: true,
+      toolExecutionNotifications: this.parseDriver.parseErrors.map(({file, line, column, message}) => {
+        return {
+          level: "error",
+          message: { text: `Could not analyze:  ${message}` },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: encodeURI(this.parseDriver.getSourceFile(file)), uriBaseId: "SRCROOT" },
+              region: { startLine: line, startColumn: column },
+            },
+          }],
+        };
+      }),
+    }],
+    results,
+  };
+
+  return JSON.stringify({
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [run],
+  }, null, 2) + "\n";
+};
+
+/**
+ * Build a result.
+ * @param {string}  ruleId   The rule's id.
+ * @param {string?} level    The level, if it isn't the rule's default.
+ * @param {string}  text     The message.
+ * @param {Node}    node     Where the result is.
+ * @param {Node?}   flowNode The async node whose stack leads to the result.
+ *
+ * @private
+ */
+SARIFSerializer.prototype.buildResult = function(ruleId, level, text, node, flowNode)
+{
+  const rv = {
+    ruleId,
+    ruleIndex: rules.findIndex(rule => rule.id === ruleId),
+    message: { text },
+    locations: [this.buildLocation(node)],
+  };
+  if (level)
+    rv.level = level;
+
+  const flowLocations = this.getFlowLocations(flowNode);
+  if (flowLocations[flowLocations.length - 1] !== node)
+    flowLocations.push(node);
+  rv.codeFlows = [{
+    threadFlows: [{
+      locations: flowLocations.map(n => {
+        return { location: this.buildLocation(n, this.parseDriver.serializeNode(n)) };
+      }),
+    }],
+  }];
+  return rv;
+};
+
+/**
+ * Get the nodes from a seed function to an async node:  the seed, then each
+ * await site which made the next caller async.
+ * @private
+ */
+SARIFSerializer.prototype.getFlowLocations = function(asyncNode)
+{
+  const rv = [];
+  const visited = new Set();
+  while (asyncNode && !visited.has(asyncNode)) {
+    visited.add(asyncNode);
+    const cause = this.asyncCauses.get(asyncNode);
+    if (!cause || !cause.key) {
+      rv.unshift(asyncNode);
+      break;
+    }
+    const { awaitNode, overrides, iterationNode } = cause.refData;
+    rv.unshift(awaitNode || iterationNode || overrides);
+    asyncNode = cause.key;
+  }
+  return rv;
+};
+
+/**
+ * @private
+ */
+SARIFSerializer.prototype.buildLocation = function(node, text = null)
+{
+  const rv = {};
+
+  // The (event handler) wrapper around an attribute's code has no file.
+  if (!node.file.startsWith("(")) {
+    const end = this.parseDriver.getNodeEnd(node);
+    rv.physicalLocation = {
+      artifactLocation: { uri: encodeURI(this.parseDriver.getSourceFile(node.file)), uriBaseId: "SRCROOT" },
+      region: {
+        startLine: node.line,
+        startColumn: node.column,
+        endLine: end.line,
+        endColumn: end.column,
+      },
+    };
+  }
+  if (text)
+    rv.message = { text };
+  return rv;
+};
+
+SARIFSerializer.prototype.getConfiguration = function() {
+  return {
+    type: "sarif",
+    options: this.options
+  };
+};
+
+module.exports = SARIFSerializer;
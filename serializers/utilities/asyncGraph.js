@@ -0,0 +1,113 @@
+"use strict";
+
+/**
+ * @fileoverview
+ *
+ * The async stacks as a directed graph, for the graph serializers.  The
+ * Markdown serializer prints a caller once, under the first function it
+ * awaits, so a stack which fans out and converges again looks like a tree.
+ * Here each function is one graph node, and each await site is an edge from
+ * the function it awaits to the function it makes async.  A caller awaiting
+ * several functions gets several incoming edges.
+ *
+ * An await site in a function which is async already, or which consumes the
+ * promise, still gets an edge into that function.  Only an await site outside
+ * any function, at a script's top level, gets a graph node of its own, so the
+ * edge has somewhere to go.
+ */
+
+function isFunctionNode(node) {
+  return node.type.includes("Function");
+}
+
+/**
+ * Build the graph of a driver's async stacks.
+ * @param {Map}      asyncRefs The stacks from getAsyncStacks().
+ * @param {JSDriver} driver    The driver which built them.
+ *
+ * @public
+ * @returns {Object} {
+ *   nodes: [{
+ *     id: "n0", "n1", ...,
+ *     node: the AST node,
+ *     kind: "function", or "site" for a top-level await site or ignored call,
+ *     label: the name and location of the node,
+ *     seed, syntaxError, ignored, xpcomComponent: booleans for styling,
+ *   }],
+ *   edges: [{
+ *     from, to: graph node ids,
+ *     kind: "await", "consumed", "iteration" or "overrides",
+ *     label: the await site's file:line, or "overrides",
+ *   }],
+ * }
+ */
+function getAsyncGraph(asyncRefs, driver) {
+  const graphNodes = new Map(/* AST node: graph node */);
+  const edges = [], edgeKeys = new Set();
+
+  const addNode = (node, kind) => {
+    if (!graphNodes.has(node)) {
+      const location = `${node.file}:${node.line}:${node.column}`;
+      graphNodes.set(node, {
+        id: `n${graphNodes.size}`,
+        node,
+        kind,
+        label: (kind === "function") ?
+               `${driver.getNodeName(node)}()\n${location}` :
+               `${node.type}\n${location}`,
+        seed: false,
+        syntaxError: driver.isAsyncSyntaxError(node),
+        ignored: driver.ignoredNodes.has(node),
+        xpcomComponent: Boolean(driver.getNodeFlags(node).xpcomComponent),
+      });
+    }
+    return graphNodes.get(node);
+  };
+
+  const addEdge = (from, to, kind, label) => {
+    const key = `${from.id} ${to.id} ${label}`;
+    if (edgeKeys.has(key))
+      return;
+    edgeKeys.add(key);
+    edges.push({ from: from.id, to: to.id, kind, label });
+  };
+
+  asyncRefs.get(null).forEach(({asyncNode}) => addNode(asyncNode, "function").seed = true);
+
+  asyncRefs.forEach((references, key) => {
+    if (!key)
+      return;
+    const from = addNode(key, "function");
+
+    references.forEach(({awaitNode, asyncNode, overrides, iterationNode, promiseConsumer}) => {
+      if (overrides) {
+        addEdge(from, addNode(asyncNode, "function"), "overrides", "overrides");
+        return;
+      }
+
+      const site = awaitNode || iterationNode;
+      let kind = "await";
+      if (iterationNode)
+        kind = "iteration";
+      else if (promiseConsumer)
+        kind = "consumed";
+
+      const caller = asyncNode || driver.getEnclosingFunction(site);
+      const to = caller ? addNode(caller, "function") : addNode(site, "site");
+      addEdge(from, to, kind, `${site.file}:${site.line}`);
+    });
+  });
+
+  driver.ignoredNodes.forEach(node => {
+    addNode(node, isFunctionNode(node) ? "function" : "site");
+  });
+
+  return {
+    nodes: Array.from(graphNodes.values()),
+    edges,
+  };
+}
+
+module.exports = {
+  getAsyncGraph,
+};
@@ -18,5 +18,8 @@ if (require.main === module) {
   (async function() {
     const command = require("./command-line");
     await command.execute();
-  })();
+  })().catch(ex => {
+    console.error(ex);
+    process.exitCode = 1;
+  });
 }
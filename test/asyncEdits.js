@@ -0,0 +1,146 @@
+"use strict";
+const StackLizard = require("../stacklizard.js");
+const { getAsyncEdits, applyEdits } = require("../drivers/utilities/javascript/asyncEdits");
+const assert = require("assert");
+const espree = require("espree");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+async function analyzeFixture(fixture, root = null) {
+  const fixtureRoot = path.resolve(process.cwd(), "fixtures", fixture);
+  const json = JSON.parse(await fs.readFile(
+    path.resolve(fixtureRoot, "test-config.json"),
+    { encoding: "utf-8" }
+  ));
+
+  let driver;
+  if (json.pathToHTML) {
+    driver = StackLizard.buildDriver("html", root || fixtureRoot, json.options || {});
+    await driver.appendSourcesViaHTML(json.pathToHTML);
+  }
+  else {
+    driver = StackLizard.buildDriver("javascript", root || fixtureRoot, json.options || {});
+    for (let i = 0; i < json.scripts.length; i++)
+      await driver.appendJSFile(json.scripts[i]);
+  }
+  driver.parseSources();
+
+  const startAsync = driver.startAsyncFromConfiguration(json.markAsync);
+  const asyncRefs = driver.getAsyncStacks(startAsync);
+  return { driver, asyncRefs, fixtureRoot };
+}
+
+async function editsTest(fixture, file, expectedFile) {
+  const { driver, asyncRefs, fixtureRoot } = await analyzeFixture(fixture);
+  const edits = getAsyncEdits(asyncRefs, driver).filter(edit => edit.file === file);
+
+  const source = await fs.readFile(path.resolve(fixtureRoot, file), { encoding: "utf-8" });
+  const expected = await fs.readFile(path.resolve(fixtureRoot, expectedFile), { encoding: "utf-8" });
+  const actual = applyEdits(source, edits);
+  assert.equal(actual, expected);
+  return actual;
+}
+
+describe("Applying the async and await edits", function() {
+  it("inserts async and await keywords, and leaves the rest alone", async function() {
+    const actual = await editsTest("async-edits", "fixture.js", "expected-fixture.js");
+    espree.parse(actual, { ecmaVersion: "latest" });
+  });
+
+  it("edits inline scripts at their columns in the HTML file", async function() {
+    await editsTest("async-edits-html", "index.html", "expected-index.html");
+  });
+
+  it("leaves spreads, destructuring and Array.from() of async iterators to fix by hand", async function() {
+    const { driver, asyncRefs } = await analyzeFixture("generators");
+
+    // firstTwo(), allLines() and lineArray() are on lines 15 to 26.
+    const edits = getAsyncEdits(asyncRefs, driver);
+    assert.ok(edits.length);
+    assert.ok(edits.every(edit => (edit.line < 15) || (edit.line > 26)));
+
+    assert.deepEqual(
+      driver.getManualAsyncFixes(asyncRefs).map(({file, line, column, reason}) => [file, line, column, reason]),
+      [
+        ["fixture.js", 16, 9, "destructuring an async iterator throws; collect it with for await...of (readLines())"],
+        ["fixture.js", 21, 11, "spreading an async iterator throws; collect it with for await...of (readLines())"],
+        ["fixture.js", 25, 10, "use await Array.fromAsync() (readLines())"],
+      ]
+    );
+
+    const serializer = StackLizard.getSerializer("patch", null, asyncRefs, driver, {});
+    const lines = serializer.serialize().split("\n");
+    assert.deepEqual(lines.slice(0, 6), [
+      "Fix by hand:",
+      "  fixture.js:16:9 destructuring an async iterator throws; collect it with for await...of (readLines())",
+      "  fixture.js:21:11 spreading an async iterator throws; collect it with for await...of (readLines())",
+      "  fixture.js:25:10 use await Array.fromAsync() (readLines())",
+      "",
+      "--- a/fixture.js",
+    ]);
+  });
+
+  it("leaves calls in default parameters to fix by hand", async function() {
+    const { driver, asyncRefs, fixtureRoot } = await analyzeFixture("async-edits-parameters");
+    const edits = getAsyncEdits(asyncRefs, driver);
+    assert.deepEqual(
+      edits.filter(edit => edit.text === "await ").map(({line, column}) => [line, column]),
+      [[6, 14]]
+    );
+
+    assert.deepEqual(
+      driver.getManualAsyncFixes(asyncRefs).map(({line, column}) => [line, column]),
+      [[5, 26], [9, 33], [13, 26]]
+    );
+
+    // onlyDefault() has no call to await outside its parameters.
+    assert.ok(!edits.some(edit => edit.line === 13));
+
+    const source = await fs.readFile(path.resolve(fixtureRoot, "fixture.js"), { encoding: "utf-8" });
+    espree.parse(applyEdits(source, edits), { ecmaVersion: "latest" });
+  });
+
+  it("rewrites the files under the root directory", async function() {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), "stacklizard-"));
+    try {
+      await fs.copyFile(
+        path.resolve(process.cwd(), "fixtures/async-edits/fixture.js"),
+        path.join(root, "fixture.js")
+      );
+
+      const { driver, asyncRefs, fixtureRoot } = await analyzeFixture("async-edits", root);
+      const files = await driver.applyAsyncEdits(asyncRefs);
+      assert.deepEqual(files, ["fixture.js"]);
+
+      const actual = await fs.readFile(path.join(root, "fixture.js"), { encoding: "utf-8" });
+      const expected = await fs.readFile(
+        path.resolve(fixtureRoot, "expected-fixture.js"),
+        { encoding: "utf-8" }
+      );
+      assert.equal(actual, expected);
+    }
+    finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("The patch serializer", function() {
+  async function patchTest(fixture) {
+    const { driver, asyncRefs, fixtureRoot } = await analyzeFixture(fixture);
+    const serializer = StackLizard.getSerializer("patch", null, asyncRefs, driver, {});
+
+    const expected = await fs.readFile(path.resolve(fixtureRoot, "expected.patch"), { encoding: "utf-8" });
+    assert.equal(serializer.serialize(), expected);
+    assert.deepEqual(serializer.getConfiguration(), { type: "patch", options: {} });
+  }
+
+  it("renders the edits as a unified diff, with the reasons in the hunk headers", async function() {
+    await patchTest("async-edits");
+  });
+
+  it("renders edits to inline scripts at their lines in the HTML file", async function() {
+    await patchTest("async-edits-html");
+  });
+});
@@ -0,0 +1,45 @@
+"use strict";
+const assert = require("assert");
+const { execFile } = require("child_process");
+const path = require("path");
+
+function runCommandLine(...args) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      process.execPath,
+      [path.resolve(process.cwd(), "stacklizard.js"), ...args],
+      (error, stdout, stderr) => error ? reject(new Error(stderr)) : resolve(stdout)
+    );
+  });
+}
+
+describe("The command line", function() {
+  it("finds a function by name in a file the entry file require()'s", async function() {
+    const output = await runCommandLine(
+      "standalone", "--sourceType", "commonjs", "fixtures/commonjs/main.js", "save"
+    );
+    assert.equal(output.split("\n")[0], "- save(), async lib/storage.js:6:16 FunctionExpression");
+  });
+
+  it("prefers a function by that name in the entry file", async function() {
+    // lib/storage.js and lib/helpers.js have load() functions too.
+    const output = await runCommandLine(
+      "standalone", "--sourceType", "commonjs", "fixtures/commonjs/main.js", "load"
+    );
+    assert.equal(output.split("\n")[0], "- load(), async main.js:25:23 FunctionExpression");
+  });
+
+  it("reports a name more than one function in the entry file has", async function() {
+    await assert.rejects(
+      runCommandLine("standalone", "fixtures/name-collision/fixture.js", "a"),
+      /Ambiguous function name a in fixture\.js/
+    );
+  });
+
+  it("reports a name no loaded file has", async function() {
+    await assert.rejects(
+      runCommandLine("standalone", "--sourceType", "commonjs", "fixtures/commonjs/main.js", "nosuch"),
+      /No function named nosuch/
+    );
+  });
+});
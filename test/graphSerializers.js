@@ -0,0 +1,91 @@
+"use strict";
+const StackLizard = require("../stacklizard.js");
+const assert = require("assert");
+const fs = require("fs").promises;
+const path = require("path");
+
+async function serializeFixture(fixture, type) {
+  const root = path.resolve(process.cwd(), "fixtures", fixture);
+  const json = JSON.parse(await fs.readFile(
+    path.resolve(root, "test-config.json"),
+    { encoding: "utf-8" }
+  ));
+
+  const driver = StackLizard.buildDriver("javascript", root, json.options || {});
+  for (let i = 0; i < json.scripts.length; i++)
+    await driver.appendJSFile(json.scripts[i]);
+  driver.parseSources();
+
+  if (Array.isArray(json.ignore)) {
+    json.ignore.forEach(ignore => {
+      driver.markIgnored(driver.nodeFromLocation(ignore, n => n.type === ignore.type));
+    });
+  }
+
+  const startAsync = driver.startAsyncFromConfiguration(json.markAsync);
+  const asyncRefs = driver.getAsyncStacks(startAsync);
+  const serializer = StackLizard.getSerializer(type, startAsync, asyncRefs, driver, {});
+  return { serializer, lines: serializer.serialize().split("\n") };
+}
+
+function getNodeId(lines, label) {
+  const line = lines.find(l => l.includes(label));
+  assert.ok(line, `no node for ${label}`);
+  return line.trim().split(/[ [\]]/)[0];
+}
+
+describe("The graph serializers", function() {
+  it("DOT:  each function appears once, with an incoming edge per await site", async function() {
+    const { serializer, lines } = await serializeFixture("async-edits", "dot");
+    assert.deepEqual(serializer.getConfiguration(), { type: "dot", options: {} });
+    assert.equal(lines[0], "digraph StackLizard {");
+
+    assert.equal(lines.filter(l => l.includes("label=\"startApp()\\n")).length, 1);
+    const startApp = getNodeId(lines, "label=\"startApp()\\n");
+    const incoming = lines.filter(l => l.includes(` -> ${startApp} `));
+    assert.equal(incoming.length, 3);
+    assert.ok(incoming.some(l => l.includes("[label=\"fixture.js:50\", style=bold]")));
+
+    assert.ok(lines.some(l => l.includes("label=\"readSettings()\\nfixture.js:3:1\", penwidth=3")));
+    assert.ok(lines.some(l => l.includes("label=\"theme()\\nfixture.js:22:12\", style=filled, fillcolor=\"#ffe0e0\", color=red")));
+  });
+
+  it("DOT:  a caller which is async already gets the edges into it", async function() {
+    const { lines } = await serializeFixture("async-callers", "dot");
+    assert.equal(lines.filter(l => l.includes("label=\"restore()\\n")).length, 1);
+    const restore = getNodeId(lines, "label=\"restore()\\n");
+    assert.deepEqual(
+      lines.filter(l => l.includes(` -> ${restore} `)).map(l => l.replace(/^.*\[label="([^"]+)".*$/, "$1")),
+      ["fixture.js:10", "fixture.js:11"]
+    );
+    assert.ok(!lines.some(l => l.includes("shape=note")));
+  });
+
+  it("DOT:  ignored nodes are styled", async function() {
+    const { lines } = await serializeFixture("object-define-name-mismatch", "dot");
+    assert.ok(lines.some(l => l.includes("label=\"CallExpression\\nfixture.js:3:10\", shape=note, style=dashed, color=gray")));
+  });
+
+  it("Mermaid:  each function appears once, with an incoming edge per await site", async function() {
+    const { serializer, lines } = await serializeFixture("async-edits", "mermaid");
+    assert.deepEqual(serializer.getConfiguration(), { type: "mermaid", options: {} });
+    assert.equal(lines[0], "flowchart TD");
+
+    assert.equal(lines.filter(l => l.includes("[\"startApp()<br/>")).length, 1);
+    const startApp = getNodeId(lines, "[\"startApp()<br/>");
+    const incoming = lines.filter(l => l.endsWith(`| ${startApp}`));
+    assert.equal(incoming.length, 3);
+    assert.ok(incoming.some(l => l.includes(" ==>|\"fixture.js:50\"| ")));
+
+    const readSettings = getNodeId(lines, "[\"readSettings()<br/>");
+    const theme = getNodeId(lines, "[\"theme()<br/>");
+    assert.ok(lines.includes(`  class ${readSettings},${getNodeId(lines, "[\"themeNames()<br/>")} seed`));
+    assert.ok(lines.includes(`  class ${theme} syntaxError`));
+  });
+
+  it("Mermaid:  ignored nodes are styled", async function() {
+    const { lines } = await serializeFixture("object-define-name-mismatch", "mermaid");
+    const ignored = getNodeId(lines, "[\"CallExpression<br/>fixture.js:3:10\"]");
+    assert.ok(lines.includes(`  class ${ignored} ignored`));
+  });
+});
@@ -24,21 +24,12 @@ async function fixtureTest_HTML(fixture) {
 
   if (Array.isArray(json.ignore)) {
     json.ignore.map(ignore => {
-      const ignorable = driver.nodeByLineFilterIndex(
-        ignore.path,
-        ignore.line,
-        ignore.functionIndex,
-        n => n.type === ignore.type
-      );
+      const ignorable = driver.nodeFromLocation(ignore, n => n.type === ignore.type);
       driver.markIgnored(ignorable);
     });
   }
 
-  const startAsync = driver.functionNodeFromLine(
-    json.markAsync.path,
-    json.markAsync.line,
-    json.markAsync.functionIndex
-  );
+  const startAsync = driver.startAsyncFromConfiguration(json.markAsync);
   const driverConfig = driver.getConfiguration(startAsync);
   const asyncRefs = driver.getAsyncStacks(startAsync);
 
@@ -121,6 +112,28 @@ describe("HTMLParseDriver", function() {
     });
   });
 
+  describe("line and column addressing", function() {
+    let driver;
+    before(async function() {
+      driver = new HTMLParseDriver("fixtures/directory-structure", {});
+      await driver.appendSourcesViaHTML("b/b.html");
+      driver.parseSources();
+    });
+
+    it("finds nodes in inline scripts", function() {
+      const node = driver.functionNodeFromLineColumn("b/b.html", 12, 33);
+      assert.equal(node.type, "FunctionExpression");
+      assert.equal(driver.serializeNode(node), "b/b.html:12:33 FunctionExpression");
+    });
+
+    it("counts columns in event handlers from the start of the HTML line", function() {
+      const node = driver.nodeByLineColumn(
+        "b/b.html:onclick", 27, 20, n => n.type === "AssignmentExpression"
+      );
+      assert.ok(node, "the assignment should start at column 20");
+    });
+  });
+
   describe("fixtures tests", function() {
     [
       "directory-structure",
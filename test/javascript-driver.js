@@ -6,7 +6,6 @@ const path = require("path");
 
 async function fixtureTest(fixture) {
   const root = path.resolve(process.cwd(), "fixtures", fixture);
-  const driver = StackLizard.buildDriver("javascript", root);
 
   let json = {};
   {
@@ -17,6 +16,8 @@ async function fixtureTest(fixture) {
     json = JSON.parse(jsonSrc);
   }
 
+  const driver = StackLizard.buildDriver("javascript", root, json.options || {});
+
   if (Array.isArray(json.scripts)) {
     for (let i = 0; i < json.scripts.length; i++) {
       await driver.appendJSFile(json.scripts[i]);
@@ -25,7 +26,7 @@ async function fixtureTest(fixture) {
 
   if (Array.isArray(json.debugByLine)) {
     json.debugByLine.forEach(entry => {
-      driver.debugByLine(entry.path, entry.line);
+      driver.debugByLine(entry.path, entry.line, entry.column || null);
     });
   }
 
@@ -33,21 +34,12 @@ async function fixtureTest(fixture) {
 
   if (Array.isArray(json.ignore)) {
     json.ignore.map(ignore => {
-      const ignorable = driver.nodeByLineFilterIndex(
-        ignore.path,
-        ignore.line,
-        ignore.functionIndex,
-        n => n.type === ignore.type
-      );
+      const ignorable = driver.nodeFromLocation(ignore, n => n.type === ignore.type);
       driver.markIgnored(ignorable);
     });
   }
 
-  const startAsync = driver.functionNodeFromLine(
-    json.markAsync.path,
-    json.markAsync.line,
-    json.markAsync.functionIndex
-  );
+  const startAsync = driver.startAsyncFromConfiguration(json.markAsync);
 
   const driverConfig = driver.getConfiguration(startAsync);
 
@@ -118,6 +110,28 @@ describe(
       "prototype-assign",
       "class-constructor",
       "class-no-constructor",
+      "receiver-resolution",
+      "es-modules",
+      "commonjs",
+      "shared-global",
+      "parse-errors",
+      "multiple-seeds",
+      "sync-callbacks",
+      "value-flow",
+      "indirect-calls",
+      "inheritance",
+      "modern-classes",
+      "modern-syntax",
+      "promise-consumed",
+      "value-usage",
+      "await-risks",
+      "generators",
+      "accessors",
+      "constructor-factory",
+      "async-callers",
+      "unreferenced-seed",
+      "unreferenced-accessors",
+      "module-string-names",
     ].forEach(
       fixture => it(fixture, async () => fixtureTest(fixture))
     );
@@ -0,0 +1,96 @@
+"use strict";
+const StackLizard = require("../stacklizard.js");
+const JSONSerializer = require("../serializers/json");
+const schema = require("../serializers/json.schema.json");
+const assert = require("assert");
+const fs = require("fs").promises;
+const path = require("path");
+
+async function serializeFixture(fixture) {
+  const root = path.resolve(process.cwd(), "fixtures", fixture);
+  const json = JSON.parse(await fs.readFile(
+    path.resolve(root, "test-config.json"),
+    { encoding: "utf-8" }
+  ));
+
+  const driver = StackLizard.buildDriver("javascript", root, json.options || {});
+  for (let i = 0; i < json.scripts.length; i++)
+    await driver.appendJSFile(json.scripts[i]);
+  driver.parseSources();
+
+  if (Array.isArray(json.ignore)) {
+    json.ignore.forEach(ignore => {
+      driver.markIgnored(driver.nodeFromLocation(ignore, n => n.type === ignore.type));
+    });
+  }
+
+  const startAsync = driver.startAsyncFromConfiguration(json.markAsync);
+  const asyncRefs = driver.getAsyncStacks(startAsync);
+  const serializer = StackLizard.getSerializer("json", startAsync, asyncRefs, driver, {});
+  return { serializer, output: JSON.parse(serializer.serialize()) };
+}
+
+// Check the properties the schema allows and requires, throughout the output.
+function checkNode(node) {
+  assert.deepEqual(Object.keys(node).sort(), schema.$defs.node.required.slice().sort());
+  assert.equal(node.id, `${node.file}:${node.line}:${node.column} ${node.type}`);
+}
+
+function checkReference(reference) {
+  const allowed = Object.keys(schema.$defs.reference.properties);
+  Object.keys(reference).forEach(key => assert.ok(allowed.includes(key), `unexpected property ${key}`));
+  ["awaitNode", "asyncNode", "overrides", "iterationNode"].forEach(key => {
+    if (reference[key])
+      checkNode(reference[key]);
+  });
+  (reference.seeds || []).forEach(checkNode);
+}
+
+describe("The JSON serializer", function() {
+  it("emits every async stack in the format the schema documents", async function() {
+    const { serializer, output } = await serializeFixture("object-define-name-mismatch");
+
+    assert.deepEqual(Object.keys(output).sort(), schema.required.slice().sort());
+    assert.equal(output.schemaVersion, schema.properties.schemaVersion.const);
+    assert.equal(output.schemaVersion, JSONSerializer.SCHEMA_VERSION);
+    assert.deepEqual(serializer.getConfiguration(), { type: "json", options: {} });
+
+    output.seeds.forEach(checkNode);
+    output.ignored.forEach(checkNode);
+    output.unresolved.forEach(checkNode);
+    output.asyncRefs.forEach(({key, references}) => {
+      if (key)
+        checkNode(key);
+      references.forEach(checkReference);
+    });
+
+    assert.equal(output.asyncRefs[0].key, null);
+    assert.ok(output.ignored.length, "the fixture ignores a node");
+    assert.ok(output.ignored.every(node => node.ignored));
+
+    // Only function-like nodes have names.
+    output.asyncRefs.forEach(({references}) => {
+      references.forEach(({awaitNode, asyncNode}) => {
+        if (awaitNode)
+          assert.equal(awaitNode.name, null);
+        if (asyncNode)
+          assert.equal(typeof asyncNode.name, "string");
+      });
+    });
+  });
+
+  it("flags accessors, constructors and syntax errors", async function() {
+    const { output } = await serializeFixture("accessors");
+    const getter = output.syntaxErrors.find(error => error.methodName === "getTheme");
+    assert.ok(getter, "the theme getter should be a syntax error");
+    assert.equal(getter.node.accessor, true);
+    assert.equal(getter.node.syntaxError, true);
+    assert.equal(getter.node.name, "theme");
+
+    const { output: ctorOutput } = await serializeFixture("class-constructor");
+    assert.deepEqual(
+      ctorOutput.syntaxErrors.map(({node}) => [node.id, node.constructor, node.accessor]),
+      [["fixture.js:3:14 FunctionExpression", true, false]]
+    );
+  });
+});
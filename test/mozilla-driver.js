@@ -0,0 +1,30 @@
+"use strict";
+const StackLizard = require("../stacklizard.js");
+const assert = require("assert");
+const fs = require("fs").promises;
+const path = require("path");
+
+describe("The Mozilla driver", function() {
+  it("labels the seeds of a configuration with several markAsync locations", async function() {
+    const root = path.resolve(process.cwd(), "fixtures", "multiple-seeds");
+    const json = JSON.parse(await fs.readFile(
+      path.resolve(root, "test-config.json"),
+      { encoding: "utf-8" }
+    ));
+    json.type = "javascript";
+    json.root = root;
+
+    const driver = StackLizard.buildDriver("mozilla", root, {});
+    const { startAsync, asyncRefs } = await driver.analyzeByConfiguration(json);
+    assert.equal(startAsync.length, 2);
+
+    const serializer = StackLizard.getSerializer(
+      "markdown", startAsync, asyncRefs, driver, {nested: true}
+    );
+    const expected = await fs.readFile(
+      path.resolve(root, "expected-callstack.txt"),
+      { encoding: "utf-8" }
+    );
+    assert.equal(serializer.serialize(), expected);
+  });
+});
@@ -0,0 +1,70 @@
+"use strict";
+const StackLizard = require("../stacklizard.js");
+const assert = require("assert");
+
+describe("Finding functions by qualified name", function() {
+  let driver;
+  before(async function() {
+    driver = StackLizard.buildDriver("javascript", "fixtures");
+    await driver.appendJSFile("qualifiedNames.js");
+    driver.parseSources();
+  });
+
+  function lineOf(name, pathToFile) {
+    return driver.functionNodeFromName(name, pathToFile).line;
+  }
+
+  it("finds prototype methods", function() {
+    assert.equal(lineOf("A.prototype.e"), 3);
+    assert.equal(lineOf("A#f"), 4);
+  });
+
+  it("finds class methods, static methods and constructors", function() {
+    assert.equal(lineOf("MyClass#method"), 8);
+    assert.equal(lineOf("MyClass.prototype.method"), 8);
+    assert.equal(lineOf("MyClass.staticMethod"), 9);
+    assert.equal(lineOf("MyClass"), 7);
+  });
+
+  it("finds class expression members, private methods and class fields", function() {
+    assert.equal(lineOf("Modern"), 27);
+    assert.equal(lineOf("Modern.prototype.#hidden"), 28);
+    assert.equal(lineOf("Modern##hidden"), 28);
+    assert.equal(lineOf("#hidden"), 28);
+    assert.equal(lineOf("Modern#field"), 29);
+    assert.equal(lineOf("Modern.create"), 30);
+  });
+
+  it("finds object members", function() {
+    assert.equal(lineOf("B.e"), 13);
+    assert.equal(lineOf("B.inner.g"), 15);
+  });
+
+  it("finds top-level and nested functions", function() {
+    assert.equal(lineOf("module:top"), 19);
+    assert.equal(lineOf("top", "qualifiedNames.js"), 19);
+    assert.equal(lineOf("nested"), 20);
+    assert.equal(lineOf("module:arrow"), 24);
+    assert.throws(() => driver.functionNodeFromName("module:nested"), /No function named module:nested/);
+  });
+
+  it("lists the candidates for an ambiguous name", function() {
+    assert.throws(
+      () => driver.functionNodeFromName("e"),
+      {
+        message: [
+          "Ambiguous function name e, candidates:",
+          "  qualifiedNames.js:3:17 FunctionExpression (A.prototype.e)",
+          "  qualifiedNames.js:13:4 FunctionExpression (B.e)",
+        ].join("\n")
+      }
+    );
+  });
+
+  it("reports names it can't find", function() {
+    assert.throws(
+      () => driver.functionNodeFromName("A#g", "qualifiedNames.js"),
+      { message: "No function named A#g in qualifiedNames.js" }
+    );
+  });
+});
@@ -0,0 +1,94 @@
+"use strict";
+const StackLizard = require("../stacklizard.js");
+const assert = require("assert");
+const fs = require("fs").promises;
+const path = require("path");
+
+async function serializeFixture(fixture) {
+  const root = path.resolve(process.cwd(), "fixtures", fixture);
+  const json = JSON.parse(await fs.readFile(
+    path.resolve(root, "test-config.json"),
+    { encoding: "utf-8" }
+  ));
+
+  const driver = StackLizard.buildDriver("javascript", root, json.options || {});
+  for (let i = 0; i < json.scripts.length; i++)
+    await driver.appendJSFile(json.scripts[i]);
+  driver.parseSources();
+
+  if (Array.isArray(json.ignore)) {
+    json.ignore.forEach(ignore => {
+      driver.markIgnored(driver.nodeFromLocation(ignore, n => n.type === ignore.type));
+    });
+  }
+
+  const startAsync = driver.startAsyncFromConfiguration(json.markAsync);
+  const asyncRefs = driver.getAsyncStacks(startAsync);
+  const serializer = StackLizard.getSerializer("sarif", startAsync, asyncRefs, driver, {});
+  const log = JSON.parse(serializer.serialize());
+  return { serializer, log, run: log.runs[0] };
+}
+
+function getRegions(result) {
+  return result.codeFlows[0].threadFlows[0].locations.map(
+    ({location}) => location.physicalLocation.region
+  );
+}
+
+describe("The SARIF serializer", function() {
+  it("reports await sites and async sites, with code flows from the seed", async function() {
+    const { serializer, log, run } = await serializeFixture("async-edits");
+    assert.equal(log.version, "2.1.0");
+    assert.equal(run.tool.driver.name, "StackLizard");
+    assert.deepEqual(serializer.getConfiguration(), { type: "sarif", options: {} });
+
+    run.results.forEach(result => {
+      assert.equal(run.tool.driver.rules[result.ruleIndex].id, result.ruleId);
+      assert.equal(result.codeFlows.length, 1);
+    });
+
+    // const settings = readSettings(path);, in Store.open()
+    const awaitSite = run.results.find(result => {
+      const { region } = result.locations[0].physicalLocation;
+      return (result.ruleId === "await-site") && (region.startLine === 10);
+    });
+    assert.deepEqual(awaitSite.locations[0].physicalLocation, {
+      artifactLocation: { uri: "fixture.js", uriBaseId: "SRCROOT" },
+      region: { startLine: 10, startColumn: 22, endLine: 10, endColumn: 40 },
+    });
+    assert.deepEqual(
+      getRegions(awaitSite).map(region => [region.startLine, region.startColumn]),
+      [[3, 1], [10, 22]]
+    );
+
+    // startApp() is async because it iterates over themeNames().
+    const asyncSite = run.results.find(result => {
+      return (result.ruleId === "async-site") && result.message.text.startsWith("Mark startApp()");
+    });
+    assert.equal(asyncSite.message.text, "Mark startApp() async:  it iterates over what themeNames() returns.");
+    assert.deepEqual(
+      getRegions(asyncSite).map(region => [region.startLine, region.startColumn]),
+      [[39, 1], [50, 3], [46, 1]]
+    );
+
+    const ruleIds = new Set(run.results.map(result => result.ruleId));
+    ["await-site", "async-site", "iteration-site", "async-syntax-error", "unresolved-reference"].forEach(
+      ruleId => assert.ok(ruleIds.has(ruleId), ruleId)
+    );
+  });
+
+  it("reports sync callback hazards and ignored nodes", async function() {
+    const { run } = await serializeFixture("sync-callbacks");
+    const hazards = run.results.filter(result => result.ruleId === "sync-callback-hazard");
+    assert.equal(hazards.length, 3);
+    assert.deepEqual(hazards[0].locations[0].physicalLocation.region, {
+      startLine: 7, startColumn: 3, endLine: 9, endColumn: 5,
+    });
+    assert.equal(hazards[0].relatedLocations[0].physicalLocation.region.startColumn, 15);
+
+    const { run: ignoreRun } = await serializeFixture("object-define-name-mismatch");
+    const ignored = ignoreRun.results.filter(result => result.ruleId === "ignored-node");
+    assert.equal(ignored.length, 1);
+    assert.equal(ignored[0].locations[0].physicalLocation.region.startLine, 3);
+  });
+});
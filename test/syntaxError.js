@@ -16,3 +16,31 @@ it("rejects noisily on a syntax error", async function() {
   }
   assert.ok(pass, "parseSources should've thrown on a syntax error");
 });
+
+it("skips and records unparsable files with the skipUnparsable option", async function() {
+  const driver = StackLizard.buildDriver("javascript", "fixtures", { skipUnparsable: true });
+  await driver.appendJSFile("syntaxError.js");
+  driver.appendSource("inline.js", 10, "function b() {\n  return 1;\n}");
+
+  driver.parseSources();
+  assert.deepEqual(driver.parseErrors, [{
+    file: "syntaxError.js",
+    line: 4,
+    column: 1,
+    message: "Unexpected token",
+  }]);
+  assert.ok(driver.functionNodeFromLine("inline.js", 10), "the other source should still parse");
+});
+
+it("parses newer syntax only when the ecmaVersion option allows it", async function() {
+  const source = "function a(b) {\n  return b?.c();\n}";
+
+  const older = StackLizard.buildDriver("javascript", "fixtures", { ecmaVersion: 2019 });
+  older.appendSource("inline.js", 1, source);
+  assert.throws(() => older.parseSources(), "ecmaVersion 2019 shouldn't parse optional chaining");
+
+  const latest = StackLizard.buildDriver("javascript", "fixtures");
+  latest.appendSource("inline.js", 1, source);
+  latest.parseSources();
+  assert.ok(latest.functionNodeFromLine("inline.js", 1), "the latest ecmaVersion should parse it");
+});